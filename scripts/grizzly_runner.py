@@ -0,0 +1,199 @@
+#!/usr/bin/env python3
+"""
+Local runner for Grizzly templates, used by the dev server's local API (vite.config.js).
+
+Reads {"code": "...", "inputs": [...]} on stdin and writes {"results": [...]} to stdout,
+one {"output": ...} or {"error": "..."} per input. Each input runs transform() in a fresh
+namespace, on the input as plain dicts, lists and None.
+
+Templates are written in Grizzly's Python dialect, so before running the code:
+  a?.b      null-safe access   -> a.b
+  a[*].b    array projection   -> a.b
+(also inside f-string expressions), and reads follow the dialect the browser preview
+implements too:
+  a.b       a missing key, or any attribute of None, is None; on a list it maps over the items
+  a[k]      a missing key, an out-of-range index, or any index of None, is None
+  for x in a / x in a   iterating None does nothing, and nothing is in None
+  a < b     None never orders: <, <=, >, >= with a None operand are False
+"""
+import ast
+import json
+import re
+import sys
+import traceback
+
+_STRING = r'(?:"""[\s\S]*?"""|\'\'\'[\s\S]*?\'\'\'|"(?:\\.|[^"\\\n])*"|\'(?:\\.|[^\'\\\n])*\')'
+# Strings and comments are matched first so they pass through untouched; f-strings keep their
+# text but have their {expressions} rewritten
+_DIALECT_RE = re.compile(r'(?<!\w)([rRbB]?[fF][rRbB]?)(' + _STRING + r')|(' + _STRING + r'|#[^\n]*)|\?\.|\[\*\]')
+
+
+def _rewrite(match):
+    if match.group(2):
+        return match.group(1) + _rewrite_fstring(match.group(2))
+    return match.group(3) or ('.' if match.group(0) == '?.' else '')
+
+
+def _rewrite_fstring(literal):
+    out, start, depth, i = [], 0, 0, 0
+    while i < len(literal):
+        if depth == 0 and literal.startswith(('{{', '}}'), i):
+            i += 2
+            continue
+        if literal[i] == '{':
+            depth += 1
+            if depth == 1:
+                out.append(literal[start:i + 1])
+                start = i + 1
+        elif literal[i] == '}' and depth:
+            depth -= 1
+            if depth == 0:
+                out.append(to_python(literal[start:i]))
+                start = i
+        i += 1
+    out.append(literal[start:])
+    return ''.join(out)
+
+
+def to_python(code):
+    return _DIALECT_RE.sub(_rewrite, code)
+
+
+class _NoOrder:
+    """None as an operand of <, <=, >, >=: every such comparison is False."""
+    __slots__ = ()
+
+    def __lt__(self, other):
+        return False
+
+    __le__ = __gt__ = __ge__ = __lt__
+
+    def __eq__(self, other):
+        return other is None or other is self
+
+    def __hash__(self):
+        return hash(None)
+
+
+_NO_ORDER = _NoOrder()
+
+
+def _dialect_attr(value, name):
+    if value is None:
+        return None
+    if isinstance(value, dict):
+        if name in value:
+            return value[name]
+        return getattr(value, name) if hasattr(dict, name) else None
+    if isinstance(value, list) and not hasattr(list, name):
+        return [_dialect_attr(item, name) for item in value]
+    return getattr(value, name)
+
+
+def _dialect_item(value, key):
+    if value is None:
+        return None
+    if isinstance(value, dict):
+        return value.get(key)
+    if isinstance(value, (list, str)) and isinstance(key, int):
+        return value[key] if -len(value) <= key < len(value) else None
+    return value[key]
+
+
+def _dialect_iter(value):
+    return () if value is None else value
+
+
+def _dialect_order(value):
+    return _NO_ORDER if value is None else value
+
+
+_ORDERING = (ast.Lt, ast.LtE, ast.Gt, ast.GtE)
+
+
+class _Dialect(ast.NodeTransformer):
+    """Routes reads through the _dialect_* helpers above."""
+
+    @staticmethod
+    def _call(name, where, *args):
+        return ast.copy_location(ast.Call(ast.Name(name, ast.Load()), list(args), []), where)
+
+    def visit_Attribute(self, node):
+        self.generic_visit(node)
+        if not isinstance(node.ctx, ast.Load):
+            return node
+        return self._call('_dialect_attr', node, node.value, ast.Constant(node.attr))
+
+    def visit_Subscript(self, node):
+        self.generic_visit(node)
+        if not isinstance(node.ctx, ast.Load):
+            return node
+        key = node.slice
+        if isinstance(key, ast.Slice):
+            key = self._call('slice', node, *(part or ast.Constant(None) for part in (key.lower, key.upper, key.step)))
+        return self._call('_dialect_item', node, node.value, key)
+
+    def visit_For(self, node):
+        self.generic_visit(node)
+        node.iter = self._call('_dialect_iter', node.iter, node.iter)
+        return node
+
+    def visit_comprehension(self, node):
+        self.generic_visit(node)
+        node.iter = self._call('_dialect_iter', node.iter, node.iter)
+        return node
+
+    def visit_Compare(self, node):
+        self.generic_visit(node)
+        operands = [node.left, *node.comparators]
+        for i, op in enumerate(node.ops):
+            if isinstance(op, _ORDERING):
+                for j in (i, i + 1):
+                    operands[j] = self._call('_dialect_order', operands[j], operands[j])
+            elif isinstance(op, (ast.In, ast.NotIn)):
+                operands[i + 1] = self._call('_dialect_iter', operands[i + 1], operands[i + 1])
+        node.left, node.comparators = operands[0], operands[1:]
+        return node
+
+
+def compile_template(code):
+    tree = _Dialect().visit(ast.parse(to_python(code), 'template.py'))
+    return compile(ast.fix_missing_locations(tree), 'template.py', 'exec')
+
+
+def _json_default(value):
+    return str(value)
+
+
+def run(compiled, sample):
+    namespace = {'__name__': 'grizzly_template', '_dialect_attr': _dialect_attr, '_dialect_item': _dialect_item,
+                 '_dialect_iter': _dialect_iter, '_dialect_order': _dialect_order}
+    exec(compiled, namespace)
+    transform = namespace.get('transform')
+    if not callable(transform):
+        raise NameError('Template does not define transform(INPUT)')
+    # Round-trip so dates and other non-JSON values in the output become strings
+    return json.loads(json.dumps(transform(sample), default=_json_default))
+
+
+def main():
+    request = json.load(sys.stdin)
+    # print() in a template must not corrupt the JSON reply
+    reply, sys.stdout = sys.stdout, sys.stderr
+    code = request.get('code', '')
+    results = []
+    for sample in request.get('inputs', []):
+        try:
+            results.append({'output': run(compile_template(code), sample)})
+        except Exception as err:
+            if isinstance(err, SyntaxError):
+                message, line = err.msg, err.lineno
+            else:
+                message = err
+                line = next((f.lineno for f in reversed(traceback.extract_tb(err.__traceback__)) if f.filename == 'template.py'), None)
+            results.append({'error': f"{type(err).__name__}: {message}" + (f' (line {line})' if line else '')})
+    json.dump({'results': results}, reply, default=_json_default)
+
+
+if __name__ == '__main__':
+    main()
@@ -1,11 +1,12 @@
 import React, { useState, useRef, useEffect, useLayoutEffect, useMemo } from 'react';
-import { ChevronDown, ChevronRight, Plus, Trash2, Move, Code, Search, File, Folder, Database, X, Upload, FileCode, ArrowRight, ArrowLeft, Layers, CheckCircle2, Play, FlaskConical, BookOpen, Eye, Save, Pencil } from 'lucide-react';
+import { ChevronDown, ChevronRight, Plus, Trash2, Move, Code, Search, File, Folder, Database, X, Upload, FileCode, ArrowRight, ArrowLeft, Layers, CheckCircle2, Play, FlaskConical, BookOpen, Eye, Save, Pencil, AlertTriangle, GitCompare, Undo2, Redo2, History, Camera } from 'lucide-react';
+import yaml from 'js-yaml';
+import { runTemplateInBrowser } from './pythonRunner.js';
 
 const uid = () => `m_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
 
-// Staging path for Validate & Save — backend writes transform.py here. Supports Linux + Windows.
-// Examples: '/tmp/grizzly/transform.py' (Linux/Mac) or 'C:\\Users\\you\\grizzly\\transform.py' (Windows)
-const GRIZZLY_STAGING_PATH = '/home/shantanu/Workspace/vscode/GrizzlyUi/src/data/transform.py';
+// Token the dev server's local API puts in index.html (vite.config.js); sent back on engine calls
+const GRIZZLY_SESSION = typeof document === 'undefined' ? null : document.querySelector('meta[name="grizzly-session"]')?.content || null;
 
 // ── Prism-based syntax highlighter ───────────────────────────────────────────
 // Uses prism-react-renderer. Theme is VS Dark — change themes.vsDark to any
@@ -109,6 +110,54 @@ const PrismCode = ({ code, language = 'python', wrap = false }) => (
     )}
   </Highlight>
 );
+
+// Diff rows highlighted as one block so multi-line tokens stay intact.
+// rows: [{ text, number, sign, tone: 'same' | 'add' | 'del' | 'blank' }]
+const DIFF_ROW_TONE = {
+  same:  '',
+  add:   'bg-emerald-50',
+  del:   'bg-red-50',
+  blank: 'bg-slate-50',
+};
+
+const PrismDiffRows = ({ rows, language = 'python', wrap = false }) => (
+  <Highlight theme={prismThemes.github} code={rows.map(r => r.text).join('\n')} language={language}>
+    {({ className, style, tokens, getLineProps, getTokenProps }) => (
+      <pre
+        className={className}
+        style={{
+          ...style,
+          background: 'transparent',
+          margin: 0,
+          padding: '4px 0',
+          fontSize: '12px',
+          lineHeight: '1.6',
+          overflowX: wrap ? 'visible' : 'auto',
+          whiteSpace: wrap ? 'pre-wrap' : 'pre',
+          wordBreak: wrap ? 'break-word' : 'normal',
+        }}
+      >
+        {tokens.map((line, i) => {
+          const row = rows[i] || { tone: 'blank' };
+          const lineProps = getLineProps({ line });
+          return (
+            <div key={i} {...lineProps} className={`${lineProps.className} ${DIFF_ROW_TONE[row.tone]}`} style={{ display: 'table-row' }}>
+              <span style={{ display: 'table-cell', padding: '0 8px 0 12px', userSelect: 'none', opacity: 0.35, textAlign: 'right', minWidth: '28px', fontSize: '11px' }}>
+                {row.number ?? ''}
+              </span>
+              <span style={{ display: 'table-cell', paddingRight: '8px', userSelect: 'none', opacity: 0.6 }}>{row.sign || ' '}</span>
+              <span style={{ display: 'table-cell', paddingRight: '12px' }}>
+                {line.map((token, key) => (
+                  <span key={key} {...getTokenProps({ token })} />
+                ))}
+              </span>
+            </div>
+          );
+        })}
+      </pre>
+    )}
+  </Highlight>
+);
 // ─────────────────────────────────────────────────────────────────────────────
 
 // ── Shared value-type config (used in both plain assignment and for-loop/static-list field rows) ──
@@ -119,6 +168,24 @@ const VALUE_TYPE_CONFIG = {
   function: { label: 'ƒ Fn',     activeClass: 'border-orange-300 bg-orange-50  text-orange-700' },
 };
 
+// ── Schema leaf type badges (input/output tree and autocomplete) ──
+const SCHEMA_TYPE_CONFIG = {
+  string:   { label: 'abc',      className: 'bg-slate-100  text-slate-600'   },
+  number:   { label: '# num',    className: 'bg-blue-50    text-blue-700'    },
+  decimal:  { label: '0.00',     className: 'bg-emerald-50 text-emerald-700' },
+  boolean:  { label: 'bool',     className: 'bg-purple-50  text-purple-700'  },
+  date:     { label: 'date',     className: 'bg-amber-50   text-amber-700'   },
+  datetime: { label: 'datetime', className: 'bg-orange-50  text-orange-700'  },
+};
+
+// Badge key for a schema node: JSON Schema / XSD strings with a date format count as dates
+const schemaTypeKey = (schema) => {
+  if (schema.type === 'string' && schema.format === 'date') return 'date';
+  if (schema.type === 'string' && schema.format === 'date-time') return 'datetime';
+  if (schema.type === 'integer') return 'number';
+  return schema.type;
+};
+
 const defaultInputSchema = {
   type: 'object',
   properties: {
@@ -199,43 +266,816 @@ const defaultOutputSchema = {
   }
 };
 
-const jsonToSchema = (obj) => {
-  if (obj == null) return { type: 'string' };
-  if (Array.isArray(obj)) return { type: 'array', items: obj[0] != null ? jsonToSchema(obj[0]) : { type: 'string' } };
-  if (typeof obj === 'object') {
+// ── Sample JSON → tree schema ────────────────────────────────────────────────
+// Every sample (and every element of every array) is inferred on its own and then merged:
+// object keys are unioned and keys missing from some samples are flagged `optional`, null
+// makes a field `nullable`, and conflicting types widen (date + datetime → datetime,
+// decimal + number → decimal, other scalar mixes → string, structure + scalar → any).
+// Strings are typed by shape (ISO date / datetime, monetary decimal); a plain string field
+// seen often with few distinct values becomes an enum. Empty arrays default to string items.
+
+const SAMPLE_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SAMPLE_DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const SAMPLE_DECIMAL_RE = /^[-+]?[$€£]?(\d{1,3}(,\d{3})+|\d+)\.\d{2}$/;
+const SAMPLE_TYPE_WIDENING = { 'date|datetime': 'datetime', 'decimal|number': 'decimal' };
+const SAMPLE_SCALAR_TYPES = ['boolean', 'number', 'string', 'date', 'datetime', 'decimal'];
+const SAMPLE_ENUM_MAX_VALUES = 10;
+const SAMPLE_VALUES_CAP = 50;   // distinct values tracked per field before giving up on an enum
+
+// Type-descriptor documents (like src/data/*.json: { "dateOfBirth": "date", … }) name the type of every leaf
+const DESCRIPTOR_TYPES = new Set([...SAMPLE_SCALAR_TYPES, 'integer']);
+const isTypeDescriptorDoc = (doc) => {
+  const leaves = [];
+  const walk = (v) => {
+    if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+    else leaves.push(v);
+  };
+  walk(doc);
+  return leaves.length > 0 && leaves.every(v => typeof v === 'string' && DESCRIPTOR_TYPES.has(v));
+};
+
+const descriptorToSchema = (value) => {
+  if (Array.isArray(value)) return { type: 'array', items: value.length ? descriptorToSchema(value[0]) : undefined };
+  if (value && typeof value === 'object') {
+    const properties = {};
+    Object.entries(value).forEach(([k, v]) => { properties[k] = descriptorToSchema(v); });
+    return { type: 'object', properties };
+  }
+  return { type: value === 'integer' ? 'number' : value };
+};
+
+const sampleToSchema = (value) => {
+  if (value == null) return { type: 'null', nullable: true };
+  if (Array.isArray(value)) return { type: 'array', items: value.map(sampleToSchema).reduce((acc, s) => mergeSampleSchemas(acc, s), null) };
+  if (typeof value === 'object') {
     const properties = {};
-    Object.entries(obj).forEach(([k, v]) => { properties[k] = jsonToSchema(v); });
+    Object.entries(value).forEach(([k, v]) => { properties[k] = sampleToSchema(v); });
     return { type: 'object', properties };
   }
-  return { type: typeof obj };
+  if (typeof value === 'string') {
+    const type = SAMPLE_DATE_RE.test(value) ? 'date'
+      : SAMPLE_DATETIME_RE.test(value) ? 'datetime'
+      : SAMPLE_DECIMAL_RE.test(value) ? 'decimal'
+      : 'string';
+    return { type, values: [value], count: 1 };
+  }
+  return { type: typeof value };
+};
+
+const widenSampleType = (a, b) => {
+  const key = [a, b].sort().join('|');
+  if (SAMPLE_TYPE_WIDENING[key]) return SAMPLE_TYPE_WIDENING[key];
+  return SAMPLE_SCALAR_TYPES.includes(a) && SAMPLE_SCALAR_TYPES.includes(b) ? 'string' : 'any';
+};
+
+// Observed string values, for enum detection; unknown as soon as either side wasn't tracked
+const mergeSampleValues = (a, b) => {
+  if (!a.values || !b.values) return {};
+  const values = [...new Set([...a.values, ...b.values])];
+  return values.length > SAMPLE_VALUES_CAP ? {} : { values, count: a.count + b.count };
+};
+
+const mergeSampleSchemas = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const flags = {
+    ...((a.nullable || b.nullable) && { nullable: true }),
+    ...((a.optional || b.optional) && { optional: true }),
+  };
+  if (a.type === 'null') return { ...b, ...flags };
+  if (b.type === 'null') return { ...a, ...flags };
+  if (a.type === 'object' && b.type === 'object') {
+    const properties = {};
+    new Set([...Object.keys(a.properties), ...Object.keys(b.properties)]).forEach(k => {
+      const pa = a.properties[k];
+      const pb = b.properties[k];
+      properties[k] = pa && pb ? mergeSampleSchemas(pa, pb) : { ...(pa || pb), optional: true };
+    });
+    return { type: 'object', properties, ...flags };
+  }
+  if (a.type === 'array' && b.type === 'array') return { type: 'array', items: mergeSampleSchemas(a.items, b.items), ...flags };
+  const type = a.type === b.type ? a.type : widenSampleType(a.type, b.type);
+  return { type, ...mergeSampleValues(a, b), ...flags };
+};
+
+// Drop the value bookkeeping (turning low-cardinality strings into enums) and give
+// arrays that were empty in every sample string items
+const finalizeSampleSchema = (schema) => {
+  if (schema.type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties).forEach(([k, v]) => { properties[k] = finalizeSampleSchema(v); });
+    return { ...schema, properties };
+  }
+  if (schema.type === 'array') return { ...schema, items: schema.items ? finalizeSampleSchema(schema.items) : { type: 'string' } };
+  const { values, count, ...rest } = schema;
+  const isEnum = rest.type === 'string' && values && count >= 4 && values.length <= Math.min(SAMPLE_ENUM_MAX_VALUES, count / 2);
+  return isEnum ? { ...rest, enum: values } : rest;
+};
+
+const inferSchema = (samples) => finalizeSampleSchema(
+  samples.map(doc => (isTypeDescriptorDoc(doc) ? descriptorToSchema(doc) : sampleToSchema(doc)))
+    .reduce((acc, s) => mergeSampleSchemas(acc, s), null) || { type: 'object', properties: {} }
+);
+
+// Documents in an uploaded file: NDJSON / JSON Lines → one per line, otherwise one (JSON or YAML)
+const parseSampleDocs = (content, fileName = '') => {
+  const perLine = () => content.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+  if (/\.(ndjson|jsonl)$/i.test(fileName)) return perLine();
+  if (/\.ya?ml$/i.test(fileName)) return [yaml.load(content)];
+  try {
+    return [JSON.parse(content)];
+  } catch (err) {
+    if (content.trim().includes('\n')) return perLine();
+    throw err;
+  }
+};
+
+// ── Flat files (CSV / fixed-width) → records + flat object schema ────────────
+// CSV: the delimiter (, ; tab |) is sniffed from the first line, quoting follows RFC 4180.
+// The first row is the header when every cell is a distinct non-empty name that doesn't look
+// like data; otherwise columns are named col1…colN. A CSV whose header has name + start/length
+// (or width / end) columns is a fixed-width layout definition instead: it declares the columns
+// (and optionally their types) and slices fixed-width data files into records.
+
+const FLAT_TYPE_ALIASES = {
+  string: 'string', char: 'string', text: 'string', alpha: 'string', alphanumeric: 'string',
+  number: 'number', numeric: 'number', int: 'number', integer: 'number',
+  decimal: 'decimal', amount: 'decimal', money: 'decimal',
+  date: 'date', datetime: 'datetime', timestamp: 'datetime',
+  boolean: 'boolean', bool: 'boolean',
+};
+
+const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', '|'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Cell → the JSON value a sample would carry (money-looking strings stay strings → decimal)
+const coerceFlatCell = (raw) => {
+  const v = (raw ?? '').trim();
+  if (v === '') return null;
+  if (/^(true|false)$/i.test(v)) return v.toLowerCase() === 'true';
+  if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(v) && !SAMPLE_DECIMAL_RE.test(v)) return Number(v);
+  return v;
+};
+
+const looksLikeCsvHeader = (row) => {
+  const names = row.map(c => c.trim());
+  return new Set(names).size === names.length && names.every(n =>
+    n !== '' && typeof coerceFlatCell(n) === 'string' && !SAMPLE_DATE_RE.test(n) && !SAMPLE_DATETIME_RE.test(n) && !SAMPLE_DECIMAL_RE.test(n));
+};
+
+// → { columns, records } with records as column → coerced value objects
+const csvToRecords = (text) => {
+  const rows = parseCsv(text);
+  if (!rows.length) throw new Error('CSV file is empty');
+  const hasHeader = looksLikeCsvHeader(rows[0]);
+  const width = Math.max(...rows.map(r => r.length));
+  const columns = hasHeader ? rows[0].map(c => c.trim()) : Array.from({ length: width }, (_, i) => `col${i + 1}`);
+  const records = rows.slice(hasHeader ? 1 : 0).map(r => Object.fromEntries(columns.map((c, i) => [c, coerceFlatCell(r[i])])));
+  return { columns, records };
+};
+
+// Layout definition records → [{ name, start (0-based), length, type }], or null when the
+// CSV isn't a layout. Positions are 1-based unless some start is 0; without a start column
+// fields follow each other.
+const parseFixedWidthLayout = ({ columns, records }) => {
+  const col = (...names) => columns.find(c => names.includes(c.toLowerCase()));
+  const nameCol = col('name', 'field', 'column');
+  const startCol = col('start', 'offset', 'position');
+  const lengthCol = col('length', 'width', 'len', 'size');
+  const endCol = col('end');
+  const typeCol = col('type', 'datatype');
+  if (!nameCol || !(lengthCol || (startCol && endCol)) || !records.length) return null;
+  const base = startCol && records.some(r => Number(r[startCol]) === 0) ? 0 : 1;
+  let pos = 0;
+  return records.map(r => {
+    const start = startCol && r[startCol] != null ? Number(r[startCol]) - base : pos;
+    const length = lengthCol ? Number(r[lengthCol]) : Number(r[endCol]) - base + 1 - start;
+    pos = start + length;
+    const declared = typeCol && r[typeCol] != null ? String(r[typeCol]).toLowerCase() : 'string';
+    return { name: String(r[nameCol]), start, length, type: FLAT_TYPE_ALIASES[declared] || 'string' };
+  });
+};
+
+const fixedWidthLayoutSchema = (layout) => ({
+  type: 'object',
+  properties: Object.fromEntries(layout.map(f => [f.name, { type: f.type }])),
+});
+
+// Schema for a parsed CSV: the layout's declared fields, or inferred from its data rows
+const flatFileSchema = (table, layout) => (layout
+  ? fixedWidthLayoutSchema(layout)
+  : inferSchema(table.records.length ? table.records : [Object.fromEntries(table.columns.map(c => [c, '']))]));
+
+const FLAT_BOOLEANS = { true: true, false: false, yes: true, no: false, y: true, n: false, t: true, f: false, 1: true, 0: false };
+const FLAT_NUMBER_RE = /^[+-]?\d+(\.\d+)?$/;
+
+// Fixed-width field → the JSON value its declared type describes: zero-padded numbers become
+// numbers (decimals stay strings, unpadded), compact dates (yyyyMMdd, yyyyMMddHHmmss) become ISO
+// strings, Y/N-style flags booleans. Text that doesn't parse as the type is kept as is.
+const coerceFixedWidthField = (raw, type) => {
+  const v = raw.trim();
+  if (v === '') return null;
+  switch (type) {
+    case 'number': return FLAT_NUMBER_RE.test(v) ? Number(v) : v;
+    case 'decimal': return FLAT_NUMBER_RE.test(v) ? v.replace(/^\+/, '').replace(/^(-?)0+(?=\d)/, '$1') : v;
+    case 'boolean': return FLAT_BOOLEANS[v.toLowerCase()] ?? v;
+    case 'date': return v.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+    case 'datetime': return v.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6').replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, '$1T');
+    default: return v;
+  }
+};
+
+// Slice a fixed-width data file with a layout; each field is converted by its declared type
+const parseFixedWidthRows = (text, layout) => text.split(/\r?\n/).filter(l => l.trim()).map(line =>
+  Object.fromEntries(layout.map(f => [f.name, coerceFixedWidthField(line.slice(f.start, f.start + f.length), f.type)])));
+
+// ── JSON Schema (draft-07 / 2020-12) → tree schema ───────────────────────────
+// The tree, autocomplete and path helpers only walk { type, properties, items }. Uploaded
+// JSON Schemas are flattened into that shape: local $refs are inlined, allOf is merged and
+// oneOf/anyOf branches are unioned. Kept on each node for display: required, nullable,
+// enum, format, description, additionalProperties, refName, composition.
+
+// Does a parsed upload look like a JSON Schema (rather than a sample document)?
+const isJsonSchema = (obj) => {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+  if (['$schema', '$ref', '$defs', 'definitions', 'allOf', 'oneOf', 'anyOf'].some(k => k in obj)) return true;
+  const hasType = typeof obj.type === 'string' || Array.isArray(obj.type);
+  return hasType && (!!obj.properties || (!!obj.items && typeof obj.items === 'object' && !Array.isArray(obj.items)));
+};
+
+// Merge two tree schemas describing the same value (allOf, or a union of branches)
+const mergeTreeSchemas = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const out = { ...a, ...b };
+  if (a.properties || b.properties) {
+    out.properties = { ...a.properties };
+    Object.entries(b.properties || {}).forEach(([k, v]) => { out.properties[k] = mergeTreeSchemas(out.properties[k], v); });
+  }
+  if (a.items && b.items) out.items = mergeTreeSchemas(a.items, b.items);
+  // Structured values win so the node stays expandable; scalar alternatives are listed as a|b
+  const types = [...new Set(`${a.type}|${b.type}`.split('|'))].filter(t => t && t !== 'any' && t !== 'undefined');
+  out.type = out.properties ? 'object' : out.items ? 'array' : types.join('|') || 'any';
+  out.required = !!(a.required || b.required);
+  out.nullable = !!(a.nullable || b.nullable);
+  ['enum', 'format', 'description', 'refName'].forEach(k => { if (a[k] !== undefined && b[k] === undefined) out[k] = a[k]; });
+  if (a.enum && b.enum) out.enum = [...new Set([...a.enum, ...b.enum])];
+  return out;
+};
+
+// `root` is the document local $refs point into — the schema itself, or the whole OpenAPI spec
+const jsonSchemaToTree = (schema, root = schema) => {
+  // Only local JSON pointers (#/$defs/X, #/definitions/X, #/components/schemas/X, …) are resolved
+  const lookup = (ref) => {
+    if (!ref.startsWith('#')) return undefined;
+    return ref.slice(1).split('/').filter(Boolean)
+      .map(seg => decodeURIComponent(seg).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, seg) => (node == null ? undefined : node[seg]), root);
+  };
+
+  // oneOf/anyOf: union of every branch; a field stays required only if all branches require it.
+  // The node is named after all its branches' $refs (Cat | Dog), not just one of them.
+  const union = (branches, kind, stack) => {
+    if (!branches.length) return { type: 'any', composition: `${kind} (0)` };
+    const trees = branches.map(b => walk(b, stack));
+    const { refName: _branchRef, ...merged } = trees.reduce((acc, t) => mergeTreeSchemas(acc, t), null);
+    if (merged.properties) {
+      Object.keys(merged.properties).forEach(k => {
+        merged.properties[k] = { ...merged.properties[k], required: trees.every(t => t.properties?.[k]?.required) };
+      });
+    }
+    const refNames = [...new Set(trees.map(t => t.refName).filter(Boolean))];
+    return { ...merged, ...(refNames.length && { refName: refNames.join(' | ') }), composition: `${kind} (${branches.length})` };
+  };
+
+  const walk = (node, stack) => {
+    if (node == null || typeof node !== 'object') return { type: 'any' };   // true / false schemas
+
+    if (typeof node.$ref === 'string') {
+      const { $ref, ...siblings } = node;
+      const refName = $ref === '#' ? 'root' : $ref.split('/').pop();
+      // Recursive reference: stop here and show the node as a leaf
+      if (stack.includes($ref)) return { type: 'object', refName, description: `recursive → ${refName}` };
+      const target = lookup($ref);
+      if (target === undefined) return { type: 'any', refName, description: `unresolved $ref ${$ref}` };
+      const resolved = walk(Object.keys(siblings).length ? { allOf: [target, siblings] } : target, [...stack, $ref]);
+      return { ...resolved, refName };
+    }
+
+    let types = Array.isArray(node.type) ? node.type : node.type ? [node.type] : [];
+    const nullable = types.includes('null') || node.nullable === true;
+    types = types.filter(t => t !== 'null');
+
+    const own = {};
+    if (node.properties || types.includes('object')) {
+      own.type = 'object';
+      if (node.properties) {
+        const required = new Set(Array.isArray(node.required) ? node.required : []);
+        own.properties = {};
+        Object.entries(node.properties).forEach(([k, v]) => { own.properties[k] = { ...walk(v, stack), required: required.has(k) }; });
+      }
+      if (node.additionalProperties !== undefined) {
+        own.additionalProperties = typeof node.additionalProperties === 'object' ? walk(node.additionalProperties, stack) : node.additionalProperties;
+      }
+    } else if (node.items || node.prefixItems || types.includes('array')) {
+      own.type = 'array';
+      // Tuples (draft-07 items: [...], 2020-12 prefixItems) are shown by their first element
+      const itemSchema = Array.isArray(node.items) ? node.items[0] : node.prefixItems ? node.prefixItems[0] : node.items;
+      own.items = walk(itemSchema ?? {}, stack);
+    } else if (types.length) {
+      own.type = types.join('|');
+    }
+    if (Array.isArray(node.enum)) own.enum = node.enum;
+    else if (node.const !== undefined) own.enum = [node.const];
+    if (!own.type && own.enum) own.type = typeof own.enum[0];
+    if (node.format) own.format = node.format;
+    if (node.description || node.title) own.description = node.description || node.title;
+    if (nullable) own.nullable = true;
+
+    let out = Object.keys(own).length ? own : null;
+    if (Array.isArray(node.allOf)) out = node.allOf.reduce((acc, s) => mergeTreeSchemas(acc, walk(s, stack)), out);
+    if (Array.isArray(node.oneOf)) out = mergeTreeSchemas(out, union(node.oneOf, 'oneOf', stack));
+    if (Array.isArray(node.anyOf)) out = mergeTreeSchemas(out, union(node.anyOf, 'anyOf', stack));
+    out = out || { type: 'any' };
+    if (!out.type || out.type === 'any') {
+      if (out.properties) out.type = 'object';
+      else if (out.items) out.type = 'array';
+      else out.type = 'any';
+    }
+    return out;
+  };
+
+  return walk(schema, []);
+};
+
+// Parsed JSON / YAML upload → tree: a single JSON Schema is converted, anything else is a sample
+const schemaFromDocs = (docs) => (docs.length === 1 && isJsonSchema(docs[0]) ? jsonSchemaToTree(docs[0]) : inferSchema(docs));
+
+// ── OpenAPI → pickable schemas ───────────────────────────────────────────────
+// An OpenAPI 3.x / Swagger 2 spec holds many schemas; Step 1 lists the component schemas
+// and every JSON request/response body so one can be picked for input and one for output.
+
+const isOpenApiDoc = (doc) => !!doc && typeof doc === 'object' && !Array.isArray(doc) && !!(doc.openapi || doc.swagger);
+
+// Schema of a `content` map (OAS 3), preferring JSON media types
+const openApiContentSchema = (content) => {
+  const types = Object.keys(content || {});
+  const type = types.find(t => /[/+]json\b/.test(t)) || types[0];
+  return type ? content[type].schema : undefined;
+};
+
+// → [{ id, group, label, schema }] with schema still in JSON Schema form ($refs into the spec)
+const listOpenApiSchemas = (doc) => {
+  const entries = [];
+  // requestBody / response / parameter objects may themselves be $refs (#/components/responses/X)
+  const deref = (node) => {
+    if (typeof node?.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+    return node.$ref.slice(2).split('/').reduce((n, seg) => n?.[seg.replace(/~1/g, '/').replace(/~0/g, '~')], doc);
+  };
+  const components = doc.components?.schemas || doc.definitions || {};
+  Object.entries(components).forEach(([name, schema]) => {
+    entries.push({ id: `component:${name}`, group: 'Component schemas', label: name, schema });
+  });
+  const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+  Object.entries(doc.paths || {}).forEach(([path, ops]) => {
+    methods.filter(m => ops?.[m]).forEach(m => {
+      const op = ops[m];
+      const title = `${m.toUpperCase()} ${path}`;
+      const requestSchema = op.requestBody
+        ? openApiContentSchema(deref(op.requestBody)?.content)
+        : (op.parameters || []).map(deref).find(p => p?.in === 'body')?.schema;
+      if (requestSchema) entries.push({ id: `request:${title}`, group: 'Request bodies', label: `${title} — request`, schema: requestSchema });
+      Object.entries(op.responses || {}).forEach(([code, ref]) => {
+        const res = deref(ref) || {};
+        const responseSchema = res.content ? openApiContentSchema(res.content) : res.schema;
+        if (responseSchema) entries.push({ id: `response:${title} ${code}`, group: 'Response bodies', label: `${title} — ${code} response`, schema: responseSchema });
+      });
+    });
+  });
+  return entries;
+};
+
+// ── XSD → tree schema ────────────────────────────────────────────────────────
+// XML Schemas (e.g. MISMO) are read with DOMParser onto the same tree: sequence/all/choice
+// particles → object properties, maxOccurs > 1 → array, attributes → properties flagged
+// `attribute: true`, simple content next to attributes → `_text`. A single global root
+// element is unwrapped (its children are the top-level fields, as XML→JSON mappers do);
+// several roots each become a top-level property. xs:import / xs:include are not followed.
+
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSD_NUMERIC_TYPES = new Set([
+  'decimal', 'integer', 'int', 'long', 'short', 'byte', 'float', 'double',
+  'nonNegativeInteger', 'positiveInteger', 'negativeInteger', 'nonPositiveInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte',
+]);
+const XSD_FORMATS = { date: 'date', dateTime: 'date-time', time: 'time', duration: 'duration', anyURI: 'uri' };
+
+const xsdToSchema = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('XSD is not well-formed XML');
+  const schemaEl = doc.documentElement;
+  if (schemaEl.localName !== 'schema') throw new Error('Not an XSD: root element is not xs:schema');
+
+  const kids = (el) => Array.from(el.children);
+  const child = (el, name) => kids(el).find(c => c.localName === name);
+  const local = (qname) => (qname || '').split(':').pop();
+  const isBuiltin = (el, qname) => el.lookupNamespaceURI(qname.includes(':') ? qname.split(':')[0] : null) === XSD_NS;
+  const isRepeated = (el) => el.getAttribute('maxOccurs') === 'unbounded' || Number(el.getAttribute('maxOccurs')) > 1;
+  const docOf = (el) => {
+    const d = child(el, 'annotation') && child(child(el, 'annotation'), 'documentation');
+    return d ? d.textContent.trim().replace(/\s+/g, ' ') : undefined;
+  };
+
+  const globals = { element: {}, complexType: {}, simpleType: {}, group: {}, attributeGroup: {}, attribute: {} };
+  kids(schemaEl).forEach(el => {
+    const name = el.getAttribute('name');
+    if (name && globals[el.localName]) globals[el.localName][name] = el;
+  });
+
+  const typeTree = (el, qname, stack) => {
+    const name = local(qname);
+    if (isBuiltin(el, qname)) {
+      if (XSD_NUMERIC_TYPES.has(name)) return { type: 'number' };
+      if (name === 'boolean') return { type: 'boolean' };
+      return XSD_FORMATS[name] ? { type: 'string', format: XSD_FORMATS[name] } : { type: 'string' };
+    }
+    if (stack.includes(name)) return { type: 'object', refName: name, description: `recursive → ${name}` };
+    if (globals.complexType[name]) {
+      const ct = globals.complexType[name];
+      const description = docOf(ct);
+      return { ...complexTree(ct, [...stack, name]), refName: name, ...(description && { description }) };
+    }
+    if (globals.simpleType[name]) return simpleTree(globals.simpleType[name], [...stack, name]);
+    return { type: 'string', description: `unresolved type ${qname}` };
+  };
+
+  // restriction (with enumerations) of a base type; list/union are plain strings
+  const simpleTree = (st, stack) => {
+    const restriction = child(st, 'restriction');
+    if (!restriction) return { type: 'string' };
+    const base = restriction.getAttribute('base');
+    const inner = child(restriction, 'simpleType');
+    const tree = base ? typeTree(restriction, base, stack) : inner ? simpleTree(inner, stack) : { type: 'string' };
+    const values = kids(restriction).filter(c => c.localName === 'enumeration').map(c => c.getAttribute('value'));
+    return values.length ? { ...tree, enum: values } : tree;
+  };
+
+  // Element particle (local declaration or ref to a global one) → [name, tree]
+  const elementEntry = (el, stack, optional, repeated) => {
+    const ref = el.getAttribute('ref');
+    const name = ref ? local(ref) : el.getAttribute('name');
+    const decl = ref ? globals.element[name] : el;
+    let tree;
+    if (!decl) tree = { type: 'string', description: `unresolved element ${ref}` };
+    else if (ref && stack.includes(`element:${name}`)) tree = { type: 'object', refName: name, description: `recursive → ${name}` };
+    else {
+      const inner = ref ? [...stack, `element:${name}`] : stack;
+      const typeAttr = decl.getAttribute('type');
+      if (typeAttr) tree = typeTree(decl, typeAttr, inner);
+      else if (child(decl, 'complexType')) tree = complexTree(child(decl, 'complexType'), inner);
+      else if (child(decl, 'simpleType')) tree = simpleTree(child(decl, 'simpleType'), inner);
+      else tree = { type: 'string' };
+      const description = docOf(decl);
+      if (description) tree = { ...tree, description };
+      if (decl.getAttribute('nillable') === 'true') tree = { ...tree, nullable: true };
+    }
+    const required = !optional && el.getAttribute('minOccurs') !== '0';
+    return [name, repeated || isRepeated(el) ? { type: 'array', items: tree, required } : { ...tree, required }];
+  };
+
+  const attributeEntry = (el, stack) => {
+    const ref = el.getAttribute('ref');
+    const name = ref ? local(ref) : el.getAttribute('name');
+    const decl = ref ? globals.attribute[name] : el;
+    const typeAttr = decl && decl.getAttribute('type');
+    const tree = typeAttr ? typeTree(decl, typeAttr, stack) : decl && child(decl, 'simpleType') ? simpleTree(child(decl, 'simpleType'), stack) : { type: 'string' };
+    return [name, { ...tree, attribute: true, required: el.getAttribute('use') === 'required' }];
+  };
+
+  const complexTree = (ct, stack) => {
+    const properties = {};
+    let composition;
+    const add = ([name, tree]) => { if (name) properties[name] = properties[name] ? mergeTreeSchemas(properties[name], tree) : tree; };
+    const walk = (el, optional, repeated) => kids(el).forEach(c => {
+      const rep = repeated || isRepeated(c);
+      const opt = optional || c.getAttribute('minOccurs') === '0';
+      switch (c.localName) {
+        case 'element': add(elementEntry(c, stack, optional, repeated)); break;
+        case 'sequence': case 'all': walk(c, opt, rep); break;
+        case 'choice': composition = 'choice'; walk(c, true, rep); break;
+        case 'group': { const g = globals.group[local(c.getAttribute('ref'))]; if (g) walk(g, opt, rep); break; }
+        case 'attribute': add(attributeEntry(c, stack)); break;
+        case 'attributeGroup': { const g = globals.attributeGroup[local(c.getAttribute('ref'))]; if (g) walk(g, optional, repeated); break; }
+        case 'complexContent': case 'simpleContent': {
+          const derivation = child(c, 'extension') || child(c, 'restriction');
+          if (!derivation) break;
+          const base = derivation.getAttribute('base');
+          // extension inherits the base's fields; complexContent restriction restates them
+          if (base && (c.localName === 'simpleContent' || derivation.localName === 'extension')) {
+            const baseTree = typeTree(derivation, base, stack);
+            if (baseTree.properties) Object.entries(baseTree.properties).forEach(add);
+            else if (c.localName === 'simpleContent') add(['_text', { ...baseTree, required: false }]);
+          }
+          walk(derivation, optional, repeated);
+          break;
+        }
+        default: break;   // annotation, any, anyAttribute
+      }
+    });
+    walk(ct, false, false);
+    const tree = Object.keys(properties).length ? { type: 'object', properties } : { type: 'object' };
+    return composition ? { ...tree, composition } : tree;
+  };
+
+  const referenced = new Set(Array.from(schemaEl.getElementsByTagName('*'))
+    .filter(el => el.localName === 'element' && el.getAttribute('ref'))
+    .map(el => local(el.getAttribute('ref'))));
+  const globalEls = Object.values(globals.element);
+  const roots = globalEls.filter(el => !referenced.has(el.getAttribute('name')));
+  const candidates = roots.length ? roots : globalEls;
+  if (!candidates.length) throw new Error('XSD has no global xs:element');
+  if (candidates.length === 1) {
+    const [, tree] = elementEntry(candidates[0], [], false, false);
+    delete tree.required;
+    return tree;
+  }
+  return { type: 'object', properties: Object.fromEntries(candidates.map(el => elementEntry(el, [], false, false))) };
+};
+
+// Parse "def funcname(a, b, c):" from the first def line in the body
+const parseDefLine = (body) => {
+  const m = (body || '').trim().match(/^def\s+([a-zA-Z_]\w*)\s*\(([^)]*)\)\s*:/m);
+  if (!m) return { name: '', params: [] };
+  const name = m[1];
+  const params = m[2].split(',').map(p => p.trim()).filter(p => p && p !== 'self').map(p => ({ id: uid(), name: p.replace(/[=:].*/,'').trim(), hint: '' }));
+  return { name, params };
+};
+
+// ── Schema version diff ──────────────────────────────────────────────────────
+// Paths use the input.a.b form of getItemPaths so a diff can be matched against mapping items.
+
+// path → type for every node; arrays are walked through (no [*]), arrays of scalars read array<type>
+const flattenSchemaTypes = (schema, path, out = new Map()) => {
+  if (!schema) return out;
+  if (schema.type === 'array') {
+    const items = schema.items || {};
+    const isObject = items.type === 'object' || !!items.properties;
+    out.set(path, isObject ? 'array' : `array<${items.type ? schemaTypeKey(items) : 'any'}>`);
+    if (isObject) Object.entries(items.properties || {}).forEach(([k, v]) => flattenSchemaTypes(v, `${path}.${k}`, out));
+    return out;
+  }
+  out.set(path, schema.properties ? 'object' : (schemaTypeKey(schema) || 'any'));
+  Object.entries(schema.properties || {}).forEach(([k, v]) => flattenSchemaTypes(v, `${path}.${k}`, out));
+  return out;
 };
 
+// Changes from one schema version to the next: added / removed / retyped / moved. A removed path
+// counts as moved when exactly one added path has the same field name and type (or when its parent
+// moved and it sits at the same place below it). Descendants of an added, removed or moved node are
+// folded into that node.
+const diffSchemas = (oldSchema, newSchema, root) => {
+  const before = flattenSchemaTypes(oldSchema, root);
+  const after = flattenSchemaTypes(newSchema, root);
+  before.delete(root);
+  after.delete(root);
+  const parentOf = (p) => p.slice(0, p.lastIndexOf('.'));
+  const depth = (p) => p.split('.').length;
+  const removed = [...before.keys()].filter(p => !after.has(p)).sort((a, b) => depth(a) - depth(b));
+  const added = [...after.keys()].filter(p => !before.has(p));
+  const key = (p, types) => `${p.slice(p.lastIndexOf('.') + 1)}:${types.get(p)}`;
+  const tally = (paths, types) => paths.reduce((m, p) => m.set(key(p, types), (m.get(key(p, types)) || 0) + 1), new Map());
+  const removedKeys = tally(removed, before);
+  const addedKeys = tally(added, after);
+
+  const moves = new Map(); // old path → new path
+  const claimed = new Set();
+  const matchMoves = () => removed.forEach(p => {
+    if (moves.has(p)) return;
+    const parent = parentOf(p);
+    if (moves.has(parent)) {
+      const underParent = moves.get(parent) + p.slice(parent.length);
+      if (after.get(underParent) === before.get(p) && !claimed.has(underParent)) {
+        moves.set(p, underParent);
+        claimed.add(underParent);
+        return;
+      }
+    }
+    const k = key(p, before);
+    if (removedKeys.get(k) !== 1 || addedKeys.get(k) !== 1) return;
+    const target = added.find(a => key(a, after) === k);
+    if (claimed.has(target)) return;
+    moves.set(p, target);
+    claimed.add(target);
+  });
+  matchMoves();
+  // A removed object whose moved children all landed under one new object of the same type was
+  // renamed (cust → customer); deepest first, then its other children follow it
+  [...removed].reverse().forEach(p => {
+    if (moves.has(p)) return;
+    const targets = new Set(removed.filter(c => parentOf(c) === p && moves.has(c)).map(c => parentOf(moves.get(c))));
+    const [target] = targets;
+    if (targets.size !== 1 || before.has(target) || claimed.has(target) || after.get(target) !== before.get(p)) return;
+    moves.set(p, target);
+    claimed.add(target);
+  });
+  matchMoves();
+
+  const changes = [];
+  removed.forEach(p => {
+    const parent = parentOf(p);
+    if (before.has(parent) && !after.has(parent)) {
+      // Covered by the parent's entry unless it left a moved parent, or moved on its own
+      const parentMoved = moves.has(parent);
+      if (parentMoved ? moves.get(p) === moves.get(parent) + p.slice(parent.length) : !moves.has(p)) return;
+    }
+    if (moves.has(p)) changes.push({ kind: 'moved', path: p, newPath: moves.get(p), oldType: before.get(p), newType: after.get(moves.get(p)) });
+    else changes.push({ kind: 'removed', path: p, oldType: before.get(p) });
+  });
+  added.forEach(p => {
+    if (claimed.has(p)) return;
+    const parent = parentOf(p);
+    if (after.has(parent) && !before.has(parent) && !claimed.has(parent)) return;
+    changes.push({ kind: 'added', path: p, newType: after.get(p) });
+  });
+  before.forEach((type, p) => {
+    if (after.has(p) && after.get(p) !== type) changes.push({ kind: 'retyped', path: p, oldType: type, newType: after.get(p) });
+  });
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+// ── Line diff: uploaded template vs generated template ───────────────────────
+
+// LCS over lines (trailing whitespace ignored). Rows are { op: 'same' | 'del' | 'add', a, b, text }
+// with a / b the 0-based line in the old / new text; deletions come before additions.
+const diffLines = (oldLines, newLines) => {
+  const eq = (x, y) => x.trimEnd() === y.trimEnd();
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && eq(oldLines[head], newLines[head])) head++;
+  let tail = 0;
+  while (tail < oldLines.length - head && tail < newLines.length - head
+    && eq(oldLines[oldLines.length - 1 - tail], newLines[newLines.length - 1 - tail])) tail++;
+  const a = oldLines.slice(head, oldLines.length - tail);
+  const b = newLines.slice(head, newLines.length - tail);
+  const n = a.length;
+  const m = b.length;
+  const w = m + 1;
+  const lcs = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * w + j] = eq(a[i], b[j]) ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const rows = [];
+  for (let k = 0; k < head; k++) rows.push({ op: 'same', a: k, b: k, text: newLines[k] });
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && eq(a[i], b[j])) {
+      rows.push({ op: 'same', a: head + i, b: head + j, text: b[j] });
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) {
+      rows.push({ op: 'del', a: head + i, text: a[i] });
+      i++;
+    } else {
+      rows.push({ op: 'add', b: head + j, text: b[j] });
+      j++;
+    }
+  }
+  for (let k = tail; k > 0; k--) {
+    rows.push({ op: 'same', a: oldLines.length - k, b: newLines.length - k, text: newLines[newLines.length - k] });
+  }
+  return rows;
+};
+
+// Group diff rows into hunks with `context` unchanged lines around each change
+const diffHunks = (rows, context = 3) => {
+  const ranges = [];
+  rows.forEach((row, idx) => {
+    if (row.op === 'same') return;
+    const start = Math.max(0, idx - context);
+    const end = Math.min(rows.length - 1, idx + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = end;
+    else ranges.push({ start, end });
+  });
+  return ranges.map(({ start, end }) => {
+    const hunkRows = rows.slice(start, end + 1);
+    const before = rows.slice(0, start);
+    return {
+      rows: hunkRows,
+      aStart: before.filter(r => r.a != null).length + 1,
+      aCount: hunkRows.filter(r => r.a != null).length,
+      bStart: before.filter(r => r.b != null).length + 1,
+      bCount: hunkRows.filter(r => r.b != null).length,
+    };
+  });
+};
+
+// Pair a hunk's deletions with the additions that follow them for a two-column view
+const sideBySideRows = (rows) => {
+  const out = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) out.push({ left: dels[k] || null, right: adds[k] || null });
+    dels = [];
+    adds = [];
+  };
+  rows.forEach(row => {
+    if (row.op === 'del') dels.push(row);
+    else if (row.op === 'add') adds.push(row);
+    else {
+      flush();
+      out.push({ left: row, right: row });
+    }
+  });
+  flush();
+  return out;
+};
+
+// Banner lines generateCode writes itself; an uploaded copy is dropped rather than kept twice
+const GENERATED_BANNER_RE = /^# (GRIZZLY_TEMPLATE_V1$|── Helper functions \(registered via Grizzly\))/;
+
 // ── Parse a Grizzly template back into UI model ──────────────────────────────
+// Returns { modules, functions, diagnostics } — functions are the non-mapping helper
+// defs (same shape as registeredFunctions entries created by saveRegFn); diagnostics
+// lists every line that was dropped: { line (1-based), fn, text, reason }.
 const parseTemplate = (pythonCode) => {
   const lines = pythonCode.split('\n');
 
+  // ── Diagnostics ──────────────────────────────────────────────────────────
+  const diagnostics = [];
+  let currentFn = null;  // enclosing def, reported with each diagnostic
+  let stmtIdx = 0;       // first line of the statement being parsed (for dict entries)
+  const skip = (idx, reason, text = lines[idx]) => {
+    diagnostics.push({ line: idx + 1, fn: currentFn, text: text.trim(), reason });
+  };
+
   // ── Helpers ──────────────────────────────────────────────────────────────
 
+  // INPUT?.a?.b → input.a?.b (same normalisation the UI uses for expressions)
+  const normalizeExpr = (raw) => (raw || '')
+    .replace(/^INPUT\??\./i, 'input.')           // leading INPUT?. prefix
+    .replace(/\bINPUT\??\.(?=\w)/gi, 'input.')   // INPUT?. anywhere else in expr
+    .trim();
+
+  // Index of the bracket closing the one at openIdx (quote-aware), or -1
+  const matchClose = (text, openIdx) => {
+    let depth = 0, quote = null;
+    for (let k = openIdx; k < text.length; k++) {
+      const c = text[k];
+      if (quote) { if (c === '\\') k++; else if (c === quote) quote = null; continue; }
+      if (c === '"' || c === "'") quote = c;
+      else if ('{[('.includes(c)) depth++;
+      else if ('}])'.includes(c) && --depth === 0) return k;
+    }
+    return -1;
+  };
+
   // Parse a scalar Python value into exprType fields
   const parseScalar = (raw) => {
     raw = raw.trim();
-    if ((raw.startsWith('"') && raw.endsWith('"')) || (raw.startsWith("'") && raw.endsWith("'"))) {
-      const val = raw.slice(1, -1);
+    const q = raw[0];
+    if ((q === '"' || q === "'") && raw.length > 1 && raw.endsWith(q) && !new RegExp(`(^|[^\\\\])${q}`).test(raw.slice(1, -1))) {
+      // Single string literal — undo the \" escaping done by syncExpr
+      const val = raw.slice(1, -1).replace(/\\"/g, '"');
       return { exprType: 'static', staticValue: val, expression: raw, funcName: 'now', funcArgs: '' };
     }
     if (/^-?\d+(\.\d+)?$/.test(raw)) {
       return { exprType: 'number', staticValue: raw, expression: raw, funcName: 'now', funcArgs: '' };
     }
     const fnMatch = raw.match(/^([a-zA-Z_]\w*)\((.*)?\)$/s);
-    if (fnMatch && !/^(INPUT|input)/.test(raw)) {
+    if (fnMatch && !/^(INPUT|input)/.test(raw) && matchClose(raw, fnMatch[1].length) === raw.length - 1) {
       const name = fnMatch[1];
-      const args = (fnMatch[2] || '').trim();
-      return { exprType: 'function', funcName: name, funcArgs: args, expression: raw, staticValue: '' };
+      const args = normalizeExpr(fnMatch[2]);
+      return { exprType: 'function', funcName: name, funcArgs: args, expression: normalizeExpr(raw), staticValue: '' };
     }
-    const normalized = raw
-      .replace(/^INPUT\??\./i, 'input.')           // leading INPUT?. prefix
-      .replace(/\bINPUT\??\.(?=\w)/gi, 'input.');  // INPUT?. anywhere else in expr
-    return { exprType: 'input', expression: normalized, staticValue: '', funcName: 'now', funcArgs: '' };
+    return { exprType: 'input', expression: normalizeExpr(raw), staticValue: '', funcName: 'now', funcArgs: '' };
   };
 
   // Detect (chained) ternary: ( val1 if (cond1) else val2 if (cond2) … else default )
@@ -273,11 +1113,18 @@ const parseTemplate = (pythonCode) => {
     };
   };
 
-  // Split text at top-level commas
+  // Split text at top-level commas (commas inside string literals don't count)
   const splitTopLevel = (text) => {
-    const parts = []; let depth = 0, cur = '';
+    const parts = []; let depth = 0, cur = '', quote = null, escaped = false;
     for (const c of text) {
-      if ('{[('.includes(c)) depth++;
+      if (quote) {
+        if (escaped) escaped = false;
+        else if (c === '\\') escaped = true;
+        else if (c === quote) quote = null;
+        cur += c; continue;
+      }
+      if (c === '"' || c === "'") quote = c;
+      else if ('{[('.includes(c)) depth++;
       else if ('}])'.includes(c)) depth--;
       else if (c === ',' && depth === 0) { parts.push(cur.trim()); cur = ''; continue; }
       cur += c;
@@ -295,7 +1142,13 @@ const parseTemplate = (pythonCode) => {
     for (const entry of entries) {
       if (!entry) continue;
       const km = entry.match(/^"{1,2}([^"]+)"{1,2}\s*:\s*([\s\S]+)$/s);
-      if (!km) continue;
+      if (!km) {
+        const firstLine = entry.split('\n')[0].trim();
+        let at = stmtIdx;
+        while (at < lines.length - 1 && !lines[at].includes(firstLine)) at++;
+        skip(lines[at].includes(firstLine) ? at : stmtIdx, 'Unrecognized dict entry', entry.replace(/\s*\n\s*/g, ' '));
+        continue;
+      }
       const key = km[1];
       const val = km[2].trim();
       const fullPath = parentPath ? parentPath + '.' + key : key;
@@ -304,7 +1157,7 @@ const parseTemplate = (pythonCode) => {
       } else {
         const ternary = parseTernary(val);
         if (ternary) {
-          fields.push({ id: uid(), path: fullPath, isTernary: true, ...ternary, elifBranches: ternary.elifBranches || [] });
+          fields.push({ id: uid(), path: fullPath, isTernary: true, raw: val, ...ternary, elifBranches: ternary.elifBranches || [] });
         } else {
           fields.push({ id: uid(), path: fullPath, isTernary: false, ...parseScalar(val) });
         }
@@ -313,24 +1166,56 @@ const parseTemplate = (pythonCode) => {
     return fields;
   };
 
+  // Split a line into its code and trailing `# comment` (quote-aware); comment is null when absent
+  const splitComment = (line) => {
+    let quote = null;
+    for (let k = 0; k < line.length; k++) {
+      const c = line[k];
+      if (quote) { if (c === '\\') k++; else if (c === quote) quote = null; continue; }
+      if (c === '"' || c === "'") quote = c;
+      else if (c === '#') return [line.slice(0, k).trimEnd(), line.slice(k).trim()];
+    }
+    return [line, null];
+  };
+
+  // Net bracket depth of a line, ignoring strings and comments
+  const bracketDelta = (line) => {
+    const code = splitComment(line)[0];
+    let depth = 0, quote = null;
+    for (let k = 0; k < code.length; k++) {
+      const c = code[k];
+      if (quote) { if (c === '\\') k++; else if (c === quote) quote = null; continue; }
+      if (c === '"' || c === "'") quote = c;
+      else if ('{[('.includes(c)) depth++;
+      else if ('}])'.includes(c)) depth--;
+    }
+    return depth;
+  };
+
   // Collect a multi-line block starting at lineIdx
   const collectBlock = (lineArr, lineIdx, startToken) => {
-    let depth = 0;
+    let depth = bracketDelta(startToken);
     const blockLines = [startToken];
-    for (const c of startToken) { if ('{[('.includes(c)) depth++; else if ('}])'.includes(c)) depth--; }
     let j = lineIdx + 1;
     while (j < lineArr.length && depth > 0) {
       const l = lineArr[j];
       if (l.trim().startsWith('def ')) break;
       blockLines.push(l);
-      for (const c of l) { if ('{[('.includes(c)) depth++; else if ('}])'.includes(c)) depth--; }
+      depth += bracketDelta(l);
       j++;
     }
     return { text: blockLines.join('\n'), endIdx: j - 1 };
   };
 
-  // Parse a complete OUTPUT value block into UI assignment item(s)
-  const parseOutputBlock = (key, valueText) => {
+  // flattenDict entry → { exprType, expression, … } value fields. Ternaries have no
+  // dedicated editor outside the FOR body, so they are kept as a raw input expression.
+  const toValueFields = (f) => f.isTernary
+    ? { exprType: 'input', expression: normalizeExpr(f.raw.replace(/\s*\n\s*/g, ' ')), staticValue: '', funcName: 'now', funcArgs: '' }
+    : { exprType: f.exprType || 'input', expression: f.expression || '', staticValue: f.staticValue || '', funcName: f.funcName || 'now', funcArgs: f.funcArgs || '' };
+
+  // Parse a complete OUTPUT value block into UI assignment item(s).
+  // isObjectDict: the dict was written by "Map Object" (lcMode 'object') — see parseStatement.
+  const parseOutputBlock = (key, valueText, isObjectDict = false) => {
     valueText = valueText.trim();
 
     // Plain scalar
@@ -339,6 +1224,19 @@ const parseTemplate = (pythonCode) => {
       return [{ id: uid(), type: 'assignment', target: `output.${key}`, listComp: false, ...scalar }];
     }
 
+    // Object dict: OUTPUT["key"] = { "field": val, "nested": { … } }
+    if (isObjectDict) {
+      return [{
+        id: uid(), type: 'assignment',
+        target: `output.${key}`,
+        listComp: true, lcMode: 'object',
+        lcIterator: 'item', lcIterable: '',
+        lcChildren: [],
+        lcElements: [{ id: uid(), fields: flattenDict(valueText).map(f => ({ id: uid(), target: f.path, ...toValueFields(f) })) }],
+        exprType: 'input', expression: '', staticValue: '', funcName: 'now', funcArgs: '',
+      }];
+    }
+
     // Dict wrapper: { "outerKey": [ ... ] }
     const inner = valueText.slice(1, valueText.lastIndexOf('}')).trim();
     const listKeyMatch = inner.match(/^"([^"]+)"\s*:\s*\[([\s\S]*)\]\s*$/s);
@@ -370,18 +1268,16 @@ const parseTemplate = (pythonCode) => {
 
       // Static list: one or more { } items
       const staticItems = [];
-      let depth = 0, start = -1;
-      for (let i = 0; i < listBody.length; i++) {
-        if (listBody[i] === '{') { if (depth === 0) start = i; depth++; }
-        else if (listBody[i] === '}') { depth--; if (depth === 0 && start >= 0) staticItems.push(listBody.slice(start, i + 1)); }
+      for (let k = 0; k < listBody.length; k++) {
+        if (listBody[k] !== '{') continue;
+        const end = matchClose(listBody, k);
+        if (end === -1) break;
+        staticItems.push(listBody.slice(k, end + 1));
+        k = end;
       }
       const lcElements = staticItems.map(itemText => ({
         id: uid(),
-        fields: flattenDict(itemText).map(f => ({
-          id: uid(), target: f.path,
-          exprType: f.exprType || 'input', expression: f.expression || '',
-          staticValue: f.staticValue || '', funcName: f.funcName || 'now', funcArgs: f.funcArgs || '',
-        }))
+        fields: flattenDict(itemText).map(f => ({ id: uid(), target: f.path, ...toValueFields(f) }))
       }));
       return [{
         id: uid(), type: 'assignment',
@@ -396,24 +1292,245 @@ const parseTemplate = (pythonCode) => {
     // Nested dict (no list wrapper) — emit as multiple flat assignments
     return flattenDict(valueText).map(f => ({
       id: uid(), type: 'assignment', target: `output.${key}.${f.path}`, listComp: false,
-      expression: f.expression || '', exprType: f.exprType || 'input',
-      staticValue: f.staticValue || '', funcName: f.funcName || 'now', funcArgs: f.funcArgs || '',
+      ...toValueFields(f),
     }));
   };
 
+  // Indentation width of a raw line (tabs count as 4 spaces, like generateCode)
+  const indentOf = (line) => line.match(/^(\s*)/)[1].replace(/\t/g, '    ').length;
+
+  // Index of the last line of a (possibly multi-line) docstring starting at idx
+  const docstringEnd = (idx) => {
+    const t = lines[idx].trim();
+    const q = t.slice(0, 3);
+    if (t.length >= 6 && t.endsWith(q)) return idx;
+    let j = idx + 1;
+    while (j < lines.length && !lines[j].includes(q)) j++;
+    return Math.min(j, lines.length - 1);
+  };
+
+  // Indent a line belongs to: a comment goes with the deeper of its own indent and the next code line's
+  const stmtIndent = (idx) => {
+    if (!lines[idx].trim().startsWith('#')) return indentOf(lines[idx]);
+    let k = idx + 1;
+    while (k < lines.length && (!lines[k].trim() || lines[k].trim().startsWith('#'))) k++;
+    return Math.max(indentOf(lines[idx]), k < lines.length ? indentOf(lines[k]) : 0);
+  };
+
+  // The docstring right under a mapping def is regenerated from the module name; a hand-written one is reported
+  const skipDefDocstring = (idx) => {
+    let j = idx;
+    while (j < lines.length && !lines[j].trim()) j++;
+    const t = (lines[j] || '').trim();
+    if (!t.startsWith('"""') && !t.startsWith("'''")) return idx;
+    const end = docstringEnd(j);
+    if (end !== j || !/^"""(Transform|Map .*)"""$/.test(t)) skip(j, 'Docstring is not kept (the mapping function gets a generated one)');
+    return end + 1;
+  };
+
+  // Comment lines waiting for the next item of the same block, which keeps them as `comment`
+  const pendingComments = new Map();
+  const addComment = (items, text) => pendingComments.set(items, [...(pendingComments.get(items) || []), text]);
+  const takeComments = (items) => {
+    const c = pendingComments.get(items);
+    pendingComments.delete(items);
+    return c ? c.join('\n') : null;
+  };
+  // Comments left at the end of a block have no item to attach to → keep them as raw code
+  const flushComments = (items) => {
+    const code = takeComments(items);
+    if (code) items.push({ id: uid(), type: 'raw', code });
+  };
+
+  // Statement the parser does not model → raw item holding its lines verbatim: bracket
+  // continuations and, for compound statements (while/try/with …), the indented body and
+  // any trailing elif/else/except/finally clauses
+  const parseRaw = (idx, items) => {
+    const ownIndent = indentOf(lines[idx]);
+    let j = idx;
+    const takeLogicalLine = () => {
+      let depth = 0;
+      do { depth += bracketDelta(lines[j]); j++; } while (j < lines.length && depth > 0);
+    };
+    takeLogicalLine();
+    while (splitComment(lines[j - 1])[0].trim().endsWith(':')) {
+      while (j < lines.length && (!lines[j].trim() || stmtIndent(j) > ownIndent)) j++;
+      if (j < lines.length && indentOf(lines[j]) === ownIndent && /^(elif\b|else\s*:|except\b|finally\s*:)/.test(lines[j].trim())) takeLogicalLine();
+      else break;
+    }
+    let end = j;
+    while (end > idx + 1 && !lines[end - 1].trim()) end--;
+    const code = lines.slice(idx, end).map(l => l.slice(Math.min(ownIndent, indentOf(l)))).join('\n');
+    items.push({ id: uid(), type: 'raw', code });
+    return j;
+  };
+
+  // Parse one statement at lines[idx] into `items`; returns the index of the next unconsumed line.
+  // Comments are attached to the next item; a trailing comment moves above its statement.
+  const parseStatement = (idx, items) => {
+    const trimmed = lines[idx].trim();
+    if (trimmed.startsWith('#')) { addComment(items, trimmed); return idx + 1; }
+    const [code, inline] = splitComment(lines[idx]);
+    if (inline) { lines[idx] = code; addComment(items, inline); }
+
+    const before = items.length;
+    const next = parseStatementBody(idx, items);
+    if (items.length > before) {
+      const comment = takeComments(items);
+      if (comment) items[before].comment = comment;
+    }
+    return next;
+  };
+
+  const parseStatementBody = (idx, items) => {
+    const trimmed = lines[idx].trim();
+
+    stmtIdx = idx;
+
+    // Skip blanks and boilerplate; a bare string statement is dropped and reported
+    if (!trimmed || trimmed === 'OUTPUT = {}' || trimmed === 'return OUTPUT' || trimmed === 'pass') return idx + 1;
+    if (trimmed.startsWith('"""') || trimmed.startsWith("'''")) {
+      skip(idx, 'String statement is not kept');
+      return docstringEnd(idx) + 1;
+    }
+
+    // if COND: … elif COND: … else: …
+    const ifMatch = trimmed.match(/^if\s+(.+):$/);
+    if (ifMatch) {
+      const ownIndent = indentOf(lines[idx]);
+      const body = parseBlock(idx + 1, ownIndent);
+      const ifItem = { id: uid(), type: 'if', condition: normalizeExpr(ifMatch[1]), children: body.items, elifBlocks: [], elseBlock: null };
+      let branchItems = ifItem.children;
+      let j = body.nextIdx;
+      while (j < lines.length) {
+        // Comments between branches stay at the end of the branch before them
+        let k = j;
+        const held = [];
+        while (k < lines.length && (!lines[k].trim() || lines[k].trim().startsWith('#'))) {
+          if (lines[k].trim()) held.push(lines[k].trim());
+          k++;
+        }
+        if (k >= lines.length || indentOf(lines[k]) !== ownIndent) break;
+        const [header, inline] = splitComment(lines[k].trim());
+        const elifMatch = header.match(/^elif\s+(.+):$/);
+        if (!elifMatch && header !== 'else:') break;
+        if (inline) held.push(inline);
+        if (held.length) branchItems.push({ id: uid(), type: 'raw', code: held.join('\n') });
+        const branch = parseBlock(k + 1, ownIndent);
+        branchItems = branch.items;
+        j = branch.nextIdx;
+        if (!elifMatch) {
+          ifItem.elseBlock = { id: uid(), children: branch.items };
+          break;
+        }
+        ifItem.elifBlocks.push({ id: uid(), condition: normalizeExpr(elifMatch[1]), children: branch.items });
+      }
+      items.push(ifItem);
+      return j;
+    }
+
+    // for ITER in (ITERABLE or []):
+    const forMatch = trimmed.match(/^for\s+(\w+)\s+in\s+(.+):$/);
+    if (forMatch) {
+      const iterable = forMatch[2].trim().replace(/^\(([\s\S]+?)\s+or\s+\[\]\)$/, '$1');
+      const body = parseBlock(idx + 1, indentOf(lines[idx]));
+      items.push({ id: uid(), type: 'for', iterator: forMatch[1], iterable: normalizeExpr(iterable), children: body.items });
+      return body.nextIdx;
+    }
+
+    // Module call: mapXxx(INPUT, OUTPUT)
+    const moduleCallCamel = trimmed.match(/^map([A-Z]\w*)\(INPUT, OUTPUT\)$/);
+    const moduleCallSnake = trimmed.match(/^map_(\w+)\(INPUT, OUTPUT\)$/);
+    const moduleCallMatch = moduleCallCamel || moduleCallSnake;
+    if (moduleCallMatch) {
+      let callName = moduleCallMatch[1];
+      if (moduleCallCamel) callName = callName.charAt(0).toLowerCase() + callName.slice(1);
+      items.push({ id: uid(), type: 'module_call', moduleName: callName });
+      return idx + 1;
+    }
+
+    // Variable: name = expr (not OUTPUT); multi-line values are kept as raw code
+    const varMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/);
+    if (varMatch && !trimmed.startsWith('OUTPUT') && bracketDelta(trimmed) === 0) {
+      items.push({ id: uid(), type: 'variable', varName: varMatch[1], expression: normalizeExpr(varMatch[2]) });
+      return idx + 1;
+    }
+
+    // OUTPUT["key"] = value (possibly multi-line)
+    const assignMatch = trimmed.match(/^OUTPUT\["([^"]+)"\]\s*=\s*([\s\S]*)$/);
+    if (assignMatch) {
+      const key = assignMatch[1];
+      const rest = assignMatch[2].trim();
+      let valueText = rest; let endI = idx;
+      if (bracketDelta(rest) > 0) {
+        const block = collectBlock(lines, idx, rest);
+        endI = block.endIdx;
+        // Comments inside the literal can't be placed back between its entries → hoist them above the statement
+        valueText = block.text.split('\n').map(l => {
+          const [c, comment] = splitComment(l);
+          if (comment) addComment(items, comment);
+          return c;
+        }).filter(l => l.trim()).join('\n');
+      }
+      // "Map Object" dicts close one level deeper than the OUTPUT line (renderObjDict);
+      // plain nested assignments (generateDict) close level with it.
+      const isObjectDict = valueText === '{}' || (endI > idx && indentOf(lines[endI]) > indentOf(lines[idx]));
+      parseOutputBlock(key, valueText, isObjectDict).forEach(item => items.push(item));
+      return endI + 1;
+    }
+
+    return parseRaw(idx, items);
+  };
+
+  // Parse the indented body of an if/elif/else/for (every line deeper than parentIndent)
+  const parseBlock = (idx, parentIndent) => {
+    const items = [];
+    while (idx < lines.length) {
+      const line = lines[idx];
+      if (!line.trim()) { idx++; continue; }
+      if (stmtIndent(idx) <= parentIndent) break;
+      idx = parseStatement(idx, items);
+    }
+    flushComments(items);
+    return { items, nextIdx: idx };
+  };
+
   // ── Main parse loop ───────────────────────────────────────────────────────
   const modules = [];
+  const functions = [];
+  const moduleLevel = []; // statements outside any def → raw items, topLevel 'head' (before the first def) or 'tail'
   let currentModule = null;
+  let seenDef = false;
   let i = 0;
+  const keepModuleLevel = (item, comment) => moduleLevel.push(Object.assign(item, { topLevel: seenDef ? 'tail' : 'head' }, comment && { comment }));
 
   while (i < lines.length) {
     const trimmed = lines[i].trim();
 
+    // The builtin prelude is regenerated on every save, so it never becomes mappings or helpers
+    if (trimmed === BUILTIN_PRELUDE_START) {
+      while (i < lines.length && lines[i].trim() !== BUILTIN_PRELUDE_END) i++;
+      i++; continue;
+    }
+
+    // Dedent back to column 0 ends the current mapping function
+    if (currentModule && trimmed && stmtIndent(i) === 0) {
+      flushComments(currentModule.mappings);
+      currentModule = null;
+      currentFn = null;
+    }
+
+    // Comments directly above a top-level def go with it, as the module's or helper's `comment`
+    const topDef = trimmed.startsWith('def ') && indentOf(lines[i]) === 0;
+    const defComment = topDef ? takeComments(moduleLevel) : null;
+    if (topDef) seenDef = true;
+
     // def transform(INPUT): → main module
     if (trimmed.match(/^def transform\(INPUT\):/)) {
-      currentModule = { id: uid(), name: 'main', mappings: [] };
+      currentFn = 'transform';
+      currentModule = { id: uid(), name: 'main', mappings: [], ...(defComment && { comment: defComment }) };
       modules.push(currentModule);
-      i++; continue;
+      i = skipDefDocstring(i + 1); continue;
     }
 
     // def mapXxx(INPUT, OUTPUT): → named module
@@ -423,94 +1540,132 @@ const parseTemplate = (pythonCode) => {
     if (mapDef) {
       let rawName = mapDef[1];
       if (mapDefCamel) rawName = rawName.charAt(0).toLowerCase() + rawName.slice(1);
-      currentModule = { id: uid(), name: rawName, mappings: [] };
+      currentFn = trimmed.match(/^def (\w+)/)[1];
+      currentModule = { id: uid(), name: rawName, mappings: [], ...(defComment && { comment: defComment }) };
       modules.push(currentModule);
-      i++; continue;
+      i = skipDefDocstring(i + 1); continue;
     }
 
-    if (trimmed.startsWith('def ')) { currentModule = null; i++; continue; }
-    if (!currentModule) { i++; continue; }
-
-    // Skip docstrings, blanks, boilerplate
-    if (!trimmed || trimmed.startsWith('#') || trimmed === 'OUTPUT = {}' || trimmed === 'return OUTPUT') { i++; continue; }
-    if (trimmed.startsWith('"""') || trimmed.startsWith("\"\"\"")) { i++; continue; }
-
-    // Module call: mapXxx(INPUT, OUTPUT)
-    const moduleCallCamel = trimmed.match(/^map([A-Z]\w*)\(INPUT, OUTPUT\)/);
-    const moduleCallSnake = trimmed.match(/^map_(\w+)\(INPUT, OUTPUT\)/);
-    const moduleCallMatch = moduleCallCamel || moduleCallSnake;
-    if (moduleCallMatch) {
-      let callName = moduleCallMatch[1];
-      if (moduleCallCamel) callName = callName.charAt(0).toLowerCase() + callName.slice(1);
-      currentModule.mappings.push({ id: uid(), type: 'module_call', moduleName: callName });
-      i++; continue;
+    // Any other top-level def → registered helper function (body kept verbatim)
+    if (trimmed.startsWith('def ') && indentOf(lines[i]) === 0) {
+      currentModule = null;
+      currentFn = null;
+      let j = i + 1;
+      while (j < lines.length && (!lines[j].trim() || indentOf(lines[j]) > 0)) j++;
+      const body = lines.slice(i, j).join('\n').trim();
+      const { name, params } = parseDefLine(body);
+      if (name) {
+        const doc = body.match(/^def[^\n]*\n\s*"""([\s\S]*?)"""/);
+        functions.push({
+          id: uid(),
+          name,
+          desc: (doc && doc[1].trim()) || `${name} helper`,
+          args: params.length > 0,
+          argsPlaceholder: params.map(p => p.name).join(', '),
+          params,
+          body,
+          builtin: false,
+          ...(defComment && { comment: defComment }),
+        });
+      }
+      i = j; continue;
     }
-
-    // Variable: name = expr (not OUTPUT)
-    const varMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/);
-    if (varMatch && !trimmed.startsWith('OUTPUT')) {
-      currentModule.mappings.push({
-        id: uid(), type: 'variable',
-        varName: varMatch[1],
-        expression: (varMatch[2] || '')
-          .replace(/^INPUT\??\./i, 'input.')
-          .replace(/\bINPUT\??\.(?=\w)/gi, 'input.')
-          .trim()
-      });
+    if (!currentModule) {
+      // Module level: the docstring, imports, constants and a __main__ block are kept as raw code,
+      // with the comment lines above them. The banners generateCode writes are written again.
+      if (trimmed.startsWith('"""') || trimmed.startsWith("'''")) {
+        const end = docstringEnd(i);
+        keepModuleLevel({ id: uid(), type: 'raw', code: lines.slice(i, end + 1).join('\n') }, takeComments(moduleLevel));
+        i = end + 1; continue;
+      }
+      if (trimmed.startsWith('#!')) {
+        skip(i, 'Shebang is not kept (the generated file starts with its template header)');
+      } else if (trimmed.startsWith('#') && !GENERATED_BANNER_RE.test(trimmed)) {
+        addComment(moduleLevel, trimmed);
+      } else if (trimmed && !trimmed.startsWith('#')) {
+        const comment = takeComments(moduleLevel);
+        i = parseRaw(i, moduleLevel);
+        keepModuleLevel(moduleLevel.pop(), comment);
+        continue;
+      }
       i++; continue;
     }
 
-    // OUTPUT["key"] = value (possibly multi-line)
-    const assignMatch = trimmed.match(/^OUTPUT\["([^"]+)"\]\s*=\s*([\s\S]*)$/);
-    if (assignMatch) {
-      const key = assignMatch[1];
-      const rest = assignMatch[2].trim();
-      let valueText = rest; let endI = i;
-      let depth = 0;
-      for (const c of rest) { if ('{[('.includes(c)) depth++; else if ('}])'.includes(c)) depth--; }
-      if (depth > 0) { const block = collectBlock(lines, i, rest); valueText = block.text; endI = block.endIdx; }
-      parseOutputBlock(key, valueText).forEach(item => currentModule.mappings.push(item));
-      i = endI + 1;
-      continue;
-    }
-
-    i++;
+    i = parseStatement(i, currentModule.mappings);
+  }
+  if (currentModule) flushComments(currentModule.mappings);
+  const trailingComments = takeComments(moduleLevel);
+  if (trailingComments) keepModuleLevel({ id: uid(), type: 'raw', code: trailingComments });
+
+  // Module-level code rides along with main, where generateCode writes it outside transform()
+  if (moduleLevel.length) {
+    let main = modules.find(m => m.name === 'main');
+    if (!main) modules.push(main = { id: uid(), name: 'main', mappings: [] });
+    main.mappings = [...moduleLevel.filter(r => r.topLevel === 'head'), ...main.mappings, ...moduleLevel.filter(r => r.topLevel === 'tail')];
   }
 
   // main always first
   const mainIdx = modules.findIndex(m => m.name === 'main');
   if (mainIdx > 0) { const [main] = modules.splice(mainIdx, 1); modules.unshift(main); }
 
-  return modules.length ? modules : [{ id: uid(), name: 'main', mappings: [] }];
+  return {
+    modules: modules.length ? modules : [{ id: uid(), name: 'main', mappings: [] }],
+    functions,
+    diagnostics,
+  };
 };
 
 
 // Flatten all mapping items from all modules (recursive) for diffing
+// Each entry carries `loops`: the enclosing for-loop variables and the input path each one iterates
 const flattenMappings = (modules) => {
   const out = [];
-  const walk = (items, moduleName) => {
+  const walk = (items, moduleName, loops) => {
     if (!items) return;
     items.forEach((item) => {
-      out.push({ moduleName, item });
-      if (item.children?.length) walk(item.children, moduleName);
-      if (item.elifBlocks) item.elifBlocks.forEach((eb) => walk(eb.children, moduleName));
-      if (item.elseBlock?.children?.length) walk(item.elseBlock.children, moduleName);
+      out.push({ moduleName, item, loops });
+      const inner = item.type === 'for' && item.iterator ? { ...loops, [item.iterator]: toInputPath(item.iterable, loops) } : loops;
+      if (item.children?.length) walk(item.children, moduleName, inner);
+      if (item.elifBlocks) item.elifBlocks.forEach((eb) => walk(eb.children, moduleName, loops));
+      if (item.elseBlock?.children?.length) walk(item.elseBlock.children, moduleName, loops);
     });
   };
-  modules.forEach((mod) => walk(mod.mappings || [], mod.name));
+  modules.forEach((mod) => walk(mod.mappings || [], mod.name, {}));
   return out;
 };
 
-// Signature for change detection (type + main fields only)
+// Signature for change detection: every field of the item with sorted keys, minus the nested
+// items (children, elif/else bodies), which flattenMappings compares as items of their own
 const getItemSignature = (item) => {
   if (!item) return '';
-  const base = { type: item.type };
-  if (item.type === 'assignment') return JSON.stringify({ ...base, target: item.target, expression: item.expression });
-  if (item.type === 'variable') return JSON.stringify({ ...base, varName: item.varName, expression: item.expression });
-  if (item.type === 'module_call') return JSON.stringify({ ...base, moduleName: item.moduleName });
-  if (item.type === 'if') return JSON.stringify({ ...base, condition: item.condition });
-  if (item.type === 'for') return JSON.stringify({ ...base, iterator: item.iterator, iterable: item.iterable });
-  return JSON.stringify(base);
+  const withoutBodies = (block) => {
+    const { children: _children, ...rest } = block;
+    return rest;
+  };
+  const own = withoutBodies(item);
+  if (own.elifBlocks) own.elifBlocks = own.elifBlocks.map(withoutBodies);
+  if (own.elseBlock) own.elseBlock = withoutBodies(own.elseBlock);
+  return JSON.stringify(own, (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+    : value));
+};
+
+// Item-level changes between two module trees, matched by item id: { added, deleted, changed }
+const diffModules = (beforeModules, afterModules) => {
+  const byId = (mods) => new Map(flattenMappings(mods).map(entry => [entry.item.id, entry]));
+  const baseMap = byId(beforeModules);
+  const currMap = byId(afterModules);
+  const added = [];
+  const deleted = [];
+  const changed = [];
+  currMap.forEach((curr, id) => {
+    if (!baseMap.has(id)) added.push(curr);
+    else if (getItemSignature(baseMap.get(id).item) !== getItemSignature(curr.item)) changed.push({ before: baseMap.get(id), after: curr });
+  });
+  baseMap.forEach((base, id) => {
+    if (!currMap.has(id)) deleted.push(base);
+  });
+  return { added, deleted, changed };
 };
 
 // Describe a mapping item in one line for dashboard
@@ -521,9 +1676,275 @@ const describeItem = (item) => {
   if (item.type === 'module_call') return `call ${item.moduleName || '?'}`;
   if (item.type === 'if') return `if (${(item.condition || '').slice(0, 50)}${(item.condition || '').length > 50 ? '…' : ''})`;
   if (item.type === 'for') return `for ${item.iterator || '?'} in ${(item.iterable || '').slice(0, 30)}${(item.iterable || '').length > 30 ? '…' : ''}`;
+  if (item.type === 'raw') {
+    const first = (item.code || '').split('\n')[0];
+    return `raw: ${first.slice(0, 50)}${first.length > 50 || (item.code || '').includes('\n') ? '…' : ''}`;
+  }
   return item.type || 'mapping';
 };
 
+// ── Builtin function prelude (standalone .py) ───────────────────────────────
+// Python for the builtin registered functions (now / formatDate / concat). generateCode
+// emits the ones a template calls, each guarded so that where the engine — or the browser
+// runner — already provides the builtin, the template's copy is skipped. parseTemplate
+// drops the block again on upload.
+const BUILTIN_PRELUDE_START = '# ── Grizzly builtins (used when the template runs outside the engine) ──';
+const BUILTIN_PRELUDE_END = '# ── end Grizzly builtins ──';
+const BUILTIN_PRELUDE = {
+  now: String.raw`from datetime import datetime as _datetime
+
+def now():
+    """Current date and time"""
+    return _datetime.now()`,
+  // Java / SimpleDateFormat letters are translated to a strftime format at call time
+  formatDate: String.raw`import re as _re
+from datetime import datetime as _datetime
+
+_JAVA_DATE_FIELDS = {
+    'M': ('%m', lambda d: d.month), 'd': ('%d', lambda d: d.day), 'H': ('%H', lambda d: d.hour),
+    'h': ('%I', lambda d: d.hour % 12 or 12), 'm': ('%M', lambda d: d.minute), 's': ('%S', lambda d: d.second),
+}
+
+def _java_date_token(value, match):
+    quoted, token = match.group(1), match.group(2)
+    if quoted is not None:
+        return quoted.replace("''", "'").replace('%', '%%') or "'"
+    letter, n = token[0], len(token)
+    if letter == 'y':
+        return '%y' if n == 2 else '%Y'
+    if letter == 'M' and n >= 3:
+        return '%B' if n >= 4 else '%b'
+    if letter == 'E':
+        return '%A' if n >= 4 else '%a'
+    if letter == 'S':
+        return ('%03d' % (value.microsecond // 1000))[:n].ljust(n, '0')
+    if letter in _JAVA_DATE_FIELDS:
+        directive, field = _JAVA_DATE_FIELDS[letter]
+        return directive if n >= 2 else str(field(value))
+    return {'a': '%p', 'D': '%j', 'Z': '%z'}.get(letter, token.replace('%', '%%'))
+
+def formatDate(value, pattern="yyyy-MM-dd"):
+    """Format a date value with a Java date pattern, e.g. yyyy-MM-dd HH:mm:ss"""
+    if not value:
+        return None
+    if isinstance(value, str):
+        value = _datetime.fromisoformat(value.strip().replace('Z', '+00:00'))
+    return value.strftime(_re.sub(r"'((?:[^']|'')*)'|(([A-Za-z])\3*)", lambda m: _java_date_token(value, m), pattern))`,
+  concat: String.raw`def concat(separator, *values):
+    """Join values with separator, skipping null/empty"""
+    return str(separator).join(str(v) for v in values if v not in (None, ''))`,
+};
+
+const builtinPrelude = (names) => {
+  if (!names.length) return [];
+  const blocks = names.flatMap(name => [
+    'try:',
+    `    ${name}`,
+    'except NameError:',
+    ...BUILTIN_PRELUDE[name].split('\n').map(l => (l ? `    ${l}` : '')),
+    '',
+  ]);
+  return [BUILTIN_PRELUDE_START, ...blocks, BUILTIN_PRELUDE_END, '', ''];
+};
+
+// ── Project file (.grizzly.json) ─────────────────────────────────────────────
+// One reviewable artifact: both schemas, the uploaded template, the modules tree (with ids),
+// custom registered functions, preview samples and, optionally, the golden test cases.
+const PROJECT_FORMAT = 'grizzly-project';
+const PROJECT_VERSION = 1;
+
+const isGrizzlyProject = (obj) => !!obj && obj.format === PROJECT_FORMAT && Array.isArray(obj.modules);
+
+const downloadText = (fileName, text, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// ── Session autosave ─────────────────────────────────────────────────────────
+// The working session is kept in localStorage so a refresh or crash does not lose it;
+// on the next load the user is offered to restore it. Working on without answering the offer
+// moves the offered session to a second slot, so neither the new work nor the old session is lost.
+const AUTOSAVE_KEY = 'grizzly.session.v1';
+const AUTOSAVE_EARLIER_KEY = 'grizzly.session.earlier.v1';
+const AUTOSAVE_DELAY_MS = 1000;
+
+const readAutosave = (key = AUTOSAVE_KEY) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || 'null');
+    return saved && Array.isArray(saved.modules) ? saved : null;
+  } catch (err) {
+    console.error('Autosaved session could not be read', err);
+    return null;
+  }
+};
+
+// ── Named snapshots ──────────────────────────────────────────────────────────
+// Full project states tagged by the user, kept in localStorage (newest first)
+const SNAPSHOTS_KEY = 'grizzly.snapshots.v1';
+
+const readSnapshots = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(snap => isGrizzlyProject(snap.project)) : [];
+  } catch (err) {
+    console.error('Snapshots could not be read', err);
+    return [];
+  }
+};
+
+// ── Edit history (undo / redo) ───────────────────────────────────────────────
+// Every change to modules / registeredFunctions is recorded; the entry label and coalescing key
+// are worked out by comparing the two states, so edit handlers need no history bookkeeping.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1500; // repeated edits to the same item field within this window are one step
+
+// Own fields of a mapping item an edit touched (children are items of their own; elif/else by condition)
+const changedItemFields = (a, b) => {
+  const own = (item) => Object.fromEntries(Object.entries(item).filter(([k]) => k !== 'children').map(([k, v]) => {
+    if (k === 'elifBlocks') return [k, (v || []).map(eb => ({ id: eb.id, condition: eb.condition }))];
+    if (k === 'elseBlock') return [k, !!v];
+    return [k, v];
+  }));
+  const x = own(a);
+  const y = own(b);
+  return [...new Set([...Object.keys(x), ...Object.keys(y)])].filter(k => JSON.stringify(x[k]) !== JSON.stringify(y[k]));
+};
+
+// { label, key } for the step from prev to next ({ modules, registeredFunctions }); key is set
+// only for single-field edits, which may be coalesced with the previous step
+const describeHistoryEdit = (prev, next) => {
+  if (prev.modules === next.modules) {
+    const before = new Map(prev.registeredFunctions.map(f => [f.name, f]));
+    const after = new Map(next.registeredFunctions.map(f => [f.name, f]));
+    const added = [...after.keys()].filter(n => !before.has(n));
+    const removed = [...before.keys()].filter(n => !after.has(n));
+    const edited = [...after.keys()].filter(n => before.has(n) && before.get(n) !== after.get(n));
+    if (added.length === 1 && !removed.length) return { label: `Register ƒ ${added[0]}` };
+    if (removed.length === 1 && !added.length) return { label: `Remove ƒ ${removed[0]}` };
+    if (edited.length === 1 && !added.length && !removed.length) return { label: `Edit ƒ ${edited[0]}`, key: `fn:${edited[0]}` };
+    return { label: 'Edit functions' };
+  }
+
+  const beforeMods = prev.modules;
+  const afterMods = next.modules;
+  if (beforeMods.length !== afterMods.length || beforeMods.some((m, i) => m.id !== afterMods[i].id)) {
+    const added = afterMods.filter(m => !beforeMods.some(b => b.id === m.id));
+    const removed = beforeMods.filter(m => !afterMods.some(a => a.id === m.id));
+    if (added.length === 1 && !removed.length) return { label: `Add module ${added[0].name}` };
+    if (removed.length === 1 && !added.length) return { label: `Delete module ${removed[0].name}` };
+    return { label: 'Replace modules' };
+  }
+  const renamedIdx = afterMods.findIndex((m, i) => m.name !== beforeMods[i].name);
+  if (renamedIdx >= 0) return { label: `Rename module ${beforeMods[renamedIdx].name} → ${afterMods[renamedIdx].name}` };
+
+  const byId = (mods) => new Map(flattenMappings(mods).map(({ item }) => [item.id, item]));
+  const before = byId(beforeMods);
+  const after = byId(afterMods);
+  const added = [...after.values()].filter(item => !before.has(item.id));
+  const deleted = [...before.values()].filter(item => !after.has(item.id));
+  const edited = [...after.values()]
+    .filter(item => before.has(item.id) && before.get(item.id) !== item)
+    .map(item => ({ item, fields: changedItemFields(before.get(item.id), item) }))
+    .filter(e => e.fields.length);
+  const more = (n) => (n > 1 ? ` (+${n - 1})` : '');
+  if (added.length && !deleted.length && !edited.length) return { label: `Add ${describeItem(added[0])}${more(added.length)}` };
+  if (deleted.length && !added.length) return { label: `Delete ${describeItem(deleted[0])}${more(deleted.length)}` };
+  if (edited.length === 1 && !added.length) {
+    const { item, fields } = edited[0];
+    return { label: `Edit ${describeItem(item)}`, key: `${item.id}:${fields.join(',')}` };
+  }
+  if (!added.length && !edited.length) return { label: 'Reorder mappings' };
+  return { label: `Edit ${added.length + deleted.length + edited.length} mapping items` };
+};
+
+// Schema paths one mapping item reads (input) and writes (output), normalized to
+// input.a.b / output.x.y without [*] — the form schema-tree highlighting and diffs use.
+// Children of if/for blocks are separate items (see flattenMappings).
+// Input path an iterable reads (INPUT?.accounts[*] → input.accounts, a.lines → input.accounts.lines
+// when `a` iterates input.accounts), or null when it isn't an input path
+const toInputPath = (expr, loops = {}) => {
+  const s = (expr || '').trim().replace(/\[\*\]/g, '').replace(/\?/g, '');
+  if (/^input\./i.test(s)) return 'input.' + s.slice(6);
+  const [head, ...rest] = s.split('.');
+  return loops[head] ? [loops[head], ...rest].join('.') : null;
+};
+
+// Input / output paths an item reads and writes; `loops` resolves reads through loop variables
+const getItemPaths = (item, loops = {}) => {
+  const inp = new Set();
+  const out = new Set();
+  const addPath = (p, set) => {
+    if (!p || typeof p !== 'string') return;
+    let s = p.trim()
+      .replace(/^INPUT\??\./i, 'input.')
+      .replace(/^OUTPUT\??\./i, 'output.')
+      .replace(/\[\*\]/g, '');
+    if (!s.startsWith('input.') && !s.startsWith('output.')) {
+      s = (set === out ? 'output.' : 'input.') + s;
+    }
+    set.add(s);
+  };
+  const extractFromExpr = (expr, vars = loops) => {
+    if (!expr || typeof expr !== 'string') return;
+    const re = /(?:input|INPUT)\??\.([\w.[\]*?]+)/gi;
+    let m;
+    while ((m = re.exec(expr)) !== null) addPath('input.' + m[1].replace(/\[\*\]/g, '').replace(/\?/g, ''), inp);
+    Object.entries(vars).forEach(([name, base]) => {
+      if (!base) return;
+      const varRe = new RegExp(`(?<![\\w.])${name}\\??\\.([\\w.[\\]*?]+)`, 'g');
+      while ((m = varRe.exec(expr)) !== null) addPath(base + '.' + m[1].replace(/\[\*\]/g, '').replace(/\?/g, ''), inp);
+    });
+  };
+  const addIterable = (expr) => {
+    const path = toInputPath(expr, loops);
+    if (path) inp.add(path);
+  };
+  if (item.type === 'assignment') {
+    if (item.target) addPath(item.target, out);
+    if (item.expression) extractFromExpr(item.expression);
+    if (item.lcIterable) addIterable(item.lcIterable);
+
+    if (item.listComp) {
+      const base = item.target || '';
+      if (item.lcMode === 'static' || item.lcMode === 'object') {
+        (item.lcElements || []).forEach(el => {
+          (el.fields || []).forEach(f => {
+            if (f.target) addPath(base + '.' + f.target, out);
+            if (f.exprType === 'input' && f.expression) extractFromExpr(f.expression);
+          });
+        });
+      } else {
+        const vars = { ...loops, [item.lcIterator || 'item']: toInputPath(item.lcIterable, loops) };
+        (item.lcChildren || []).forEach(child => {
+          if (child.type === 'assignment') {
+            const target = child.target || child.lcTarget;
+            if (target) addPath(base + '.' + target, out);
+            if (child.expression) extractFromExpr(child.expression, vars);
+          }
+          if (child.type === 'if') {
+            if (child.lcTarget) addPath(base + '.' + child.lcTarget, out);
+            if (child.ifExpr) extractFromExpr(child.ifExpr, vars);
+            if (child.elseExpr) extractFromExpr(child.elseExpr, vars);
+            if (child.condition) extractFromExpr(child.condition, vars);
+            (child.elifBranches || []).forEach(b => { extractFromExpr(b.condition, vars); extractFromExpr(b.expr, vars); });
+          }
+        });
+      }
+    }
+  }
+  if (item.type === 'variable' && item.expression) extractFromExpr(item.expression);
+  if (item.type === 'for') {
+    if (item.iterable) addIterable(item.iterable);
+    if (item.lcIterable) addIterable(item.lcIterable);
+  }
+  if (item.type === 'if' && item.condition) extractFromExpr(item.condition);
+  return { input: [...inp], output: [...out] };
+};
+
 // Collect all expandable node IDs from a schema (same path logic as renderSchemaNode)
 const collectExpandableNodeIds = (schema, path, isInput) => {
   const prefix = isInput ? 'input' : 'output';
@@ -561,12 +1982,22 @@ const GrizzlyMappingTool = () => {
   const [inputFileName, setInputFileName] = useState('');
   const [outputFileName, setOutputFileName] = useState('');
   const [templateFileName, setTemplateFileName] = useState('');
+  const [templateSource, setTemplateSource] = useState(null);     // text of the uploaded .py, for the Step 3 diff
+  const [templateDiagnostics, setTemplateDiagnostics] = useState([]); // lines parseTemplate dropped
+  const [openApiSpec, setOpenApiSpec] = useState(null);           // { fileName, doc, entries } of an uploaded OpenAPI file
+  const [openApiPick, setOpenApiPick] = useState({ input: '', output: '' }); // entry id picked per side
+  const [flatInput, setFlatInput] = useState(null);               // { fileName, layout, rows } of a CSV / fixed-width input upload
+  const [schemaFileError, setSchemaFileError] = useState({ input: null, output: null }); // { fileName, message } of a failed upload per side
+  const [schemaDiff, setSchemaDiff] = useState(null);             // { type, fileName, schema, changes } | { type, fileName, error }
   const [baselineModules, setBaselineModules] = useState(null);
   const [modules, setModules] = useState([{ id: uid(), name: 'main', mappings: [] }]);
   const [activeModule, setActiveModule] = useState(0);
   const [renamingModuleIdx, setRenamingModuleIdx] = useState(null);
   const [renameValue, setRenameValue] = useState('');
   const [codeWrap, setCodeWrap] = useState(true);
+  const [codeView, setCodeView] = useState('generated');          // Step 3: 'generated' | 'unified' | 'split' (diff vs template)
+  const [focusedItemId, setFocusedItemId] = useState(null);       // item opened from the Step 3 diff, highlighted in Step 2
+  const [editingItemId, setEditingItemId] = useState(null);       // item holding keyboard focus in Step 2 (live preview highlights its fields)
 
   // ── Registered Functions ─────────────────────────────────────────────────
   const BUILTIN_REG_FUNCTIONS = [
@@ -615,15 +2046,6 @@ const GrizzlyMappingTool = () => {
   const openRegFnForm = () => setRegFnForm({ desc: '', body: '' });
   const closeRegFnForm = () => setRegFnForm(null);
 
-  // Parse "def funcname(a, b, c):" from the first def line in the body
-  const parseDefLine = (body) => {
-    const m = (body || '').trim().match(/^def\s+([a-zA-Z_]\w*)\s*\(([^)]*)\)\s*:/m);
-    if (!m) return { name: '', params: [] };
-    const name = m[1];
-    const params = m[2].split(',').map(p => p.trim()).filter(p => p && p !== 'self').map(p => ({ id: uid(), name: p.replace(/[=:].*/,'').trim(), hint: '' }));
-    return { name, params };
-  };
-
   // Inject """desc""" as the first line inside a def body if not already present
   const injectDocstring = (body, desc) => {
     if (!desc.trim()) return body;
@@ -691,6 +2113,68 @@ const GrizzlyMappingTool = () => {
     setModules(prev => prev.map((m, i) => i === idx ? { ...m, name } : m));
   };
 
+  // ── Undo / redo ──
+  // past[i] is the state before edit i (with that edit's label); future holds undone states, next first
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [showHistory, setShowHistory] = useState(false);
+  const historyRef = useRef({ last: null, restoring: false });
+
+  useEffect(() => {
+    const h = historyRef.current;
+    const prev = h.last;
+    if (prev && prev.modules === modules && prev.registeredFunctions === registeredFunctions) return;
+    h.last = { modules, registeredFunctions };
+    if (!prev || h.restoring) {
+      h.restoring = false;
+      return;
+    }
+    const edit = describeHistoryEdit(prev, h.last);
+    const now = Date.now();
+    setHistory(({ past }) => {
+      const top = past[past.length - 1];
+      if (edit.key && top?.key === edit.key && now - top.at < HISTORY_COALESCE_MS) {
+        return { past: [...past.slice(0, -1), { ...top, at: now }], future: [] };
+      }
+      return { past: [...past, { ...prev, ...edit, at: now }].slice(-HISTORY_LIMIT), future: [] };
+    });
+  }, [modules, registeredFunctions]);
+
+  // Negative steps undo, positive steps redo
+  const moveHistory = (steps) => {
+    let { past, future } = history;
+    let current = { modules, registeredFunctions };
+    for (; steps < 0 && past.length; steps++) {
+      const entry = past[past.length - 1];
+      past = past.slice(0, -1);
+      future = [{ ...current, label: entry.label, at: entry.at }, ...future];
+      current = entry;
+    }
+    for (; steps > 0 && future.length; steps--) {
+      const entry = future[0];
+      future = future.slice(1);
+      past = [...past, { ...current, label: entry.label, at: entry.at }];
+      current = entry;
+    }
+    if (current.modules === modules && current.registeredFunctions === registeredFunctions) return;
+    historyRef.current.restoring = true;
+    setHistory({ past, future });
+    setModules(current.modules);
+    setRegisteredFunctions(current.registeredFunctions);
+    setActiveModule(prev => Math.min(prev, current.modules.length - 1));
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (⌘ on macOS); text fields keep their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      moveHistory(e.shiftKey ? 1 : -1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
   const [expandedBlocks, setExpandedBlocks] = useState(new Set());
   
   // Sidebar state
@@ -725,9 +2209,10 @@ const GrizzlyMappingTool = () => {
   // Generate unique ID
   const generateId = () => Math.random().toString(36).substr(2, 9);
 
-  // Build flat list of all schema paths
+  // Build flat list of all schema paths (with JSON Schema metadata for autocomplete)
   const buildSchemaPathsList = (schema, prefix = '', isInput = true) => {
     const paths = [];
+    const meta = (obj) => ({ typeKey: schemaTypeKey(obj), required: !!obj.required, optional: !!obj.optional, nullable: !!obj.nullable, format: obj.format, enum: obj.enum, attribute: !!obj.attribute });
     
     const traverse = (obj, path) => {
       if (obj.type === 'object' && obj.properties) {
@@ -740,7 +2225,8 @@ const GrizzlyMappingTool = () => {
         paths.push({
           path: prefix + (path || ''),
           type: 'array',
-          isInput
+          isInput,
+          ...meta(obj)
         });
         traverse(obj.items, `${path}[*]`);
       } else {
@@ -748,7 +2234,8 @@ const GrizzlyMappingTool = () => {
         paths.push({
           path: prefix + (path || ''),
           type: obj.type,
-          isInput
+          isInput,
+          ...meta(obj)
         });
       }
     };
@@ -765,67 +2252,11 @@ const GrizzlyMappingTool = () => {
   const { mappedInputPaths, mappedOutputPaths } = useMemo(() => {
     const inp = new Set();
     const out = new Set();
-    const addPath = (p, set) => {
-      if (!p || typeof p !== 'string') return;
-      let s = p.trim()
-        .replace(/^INPUT\??\./i, 'input.')
-        .replace(/^OUTPUT\??\./i, 'output.')
-        .replace(/\[\*\]/g, '');
-      if (!s.startsWith('input.') && !s.startsWith('output.')) {
-        s = (set === out ? 'output.' : 'input.') + s;
-      }
-      set.add(s);
-    };
-    const extractFromExpr = (expr) => {
-      if (!expr || typeof expr !== 'string') return;
-      const re = /(?:input|INPUT)\??\.([\w.[\]*?]+)/gi;
-      let m;
-      while ((m = re.exec(expr)) !== null) addPath('input.' + m[1].replace(/\[\*\]/g, '').replace(/\?/g, ''), inp);
-    };
-    const walk = (items) => {
-      (items || []).forEach((item) => {
-        if (item.type === 'assignment') {
-          if (item.target) addPath(item.target, out);
-          if (item.expression) extractFromExpr(item.expression);
-          if (item.lcIterable) addPath(item.lcIterable, inp);
-
-          if (item.listComp) {
-            const base = item.target || '';
-            if (item.lcMode === 'static' || item.lcMode === 'object') {
-              (item.lcElements || []).forEach(el => {
-                (el.fields || []).forEach(f => {
-                  if (f.target) addPath(base + '.' + f.target, out);
-                  if (f.exprType === 'input' && f.expression) extractFromExpr(f.expression);
-                });
-              });
-            } else {
-              (item.lcChildren || []).forEach(child => {
-                if (child.type === 'assignment' && child.lcTarget) {
-                  addPath(base + '.' + child.lcTarget, out);
-                  if (child.expression) extractFromExpr(child.expression);
-                }
-                if (child.type === 'if') {
-                  if (child.lcTarget) addPath(base + '.' + child.lcTarget, out);
-                  if (child.ifExpr) extractFromExpr(child.ifExpr);
-                  if (child.elseExpr) extractFromExpr(child.elseExpr);
-                  if (child.condition) extractFromExpr(child.condition);
-                }
-              });
-            }
-          }
-        }
-        if (item.type === 'variable' && item.expression) extractFromExpr(item.expression);
-        if (item.type === 'for') {
-          if (item.iterable) addPath(item.iterable, inp);
-          if (item.lcIterable) addPath(item.lcIterable, inp);
-        }
-        if (item.type === 'if' && item.condition) extractFromExpr(item.condition);
-        walk(item.children);
-        (item.elifBlocks || []).forEach((eb) => walk(eb.children));
-        if (item.elseBlock) walk(item.elseBlock.children);
-      });
-    };
-    modules.forEach((mod) => walk(mod.mappings || []));
+    flattenMappings(modules).forEach(({ item, loops }) => {
+      const paths = getItemPaths(item, loops);
+      paths.input.forEach(p => inp.add(p));
+      paths.output.forEach(p => out.add(p));
+    });
     return { mappedInputPaths: inp, mappedOutputPaths: out };
   }, [modules]);
 
@@ -834,6 +2265,14 @@ const GrizzlyMappingTool = () => {
     setExpandedNodes(getAllExpandedIds(inputSchema, outputSchema));
   };
 
+  // Scroll an item opened from the Step 3 diff into view once Step 2 has rendered it; the highlight then fades
+  useEffect(() => {
+    if (step !== 2 || !focusedItemId) return;
+    document.getElementById(`mapping-item-${focusedItemId}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const timer = setTimeout(() => setFocusedItemId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [step, focusedItemId]);
+
   // Run synchronously when step becomes 2 so trees are expanded before first paint
   useLayoutEffect(() => {
     if (step === 2) {
@@ -1004,6 +2443,29 @@ const GrizzlyMappingTool = () => {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [autocompleteState]);
 
+  // Badges for schema metadata on a tree node (XML attribute, required, nullable, optional, format, enum, $ref, oneOf/anyOf/choice)
+  const renderSchemaMeta = (schema) => {
+    const tip = [
+      schema.description,
+      schema.enum && `enum: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`,
+      schema.refName && `$ref: ${schema.refName}`,
+      schema.additionalProperties && typeof schema.additionalProperties === 'object' && `additionalProperties: ${schema.additionalProperties.type}`,
+    ].filter(Boolean).join('\n');
+    return (
+      <>
+        {schema.attribute && <span className="px-1 rounded bg-orange-50 text-orange-700 text-[10px] font-mono" title="XML attribute">@attr</span>}
+        {schema.required && <span className="text-red-500 text-xs font-bold" title="required">*</span>}
+        {schema.nullable && <span className="text-xs text-gray-400" title="nullable">?</span>}
+        {schema.optional && <span className="px-1 rounded bg-gray-100 text-gray-500 text-[10px]" title="missing from some samples">opt</span>}
+        {schema.format && schemaTypeKey(schema) === schema.type && <span className="px-1 rounded bg-sky-50 text-sky-700 text-[10px] font-mono">{schema.format}</span>}
+        {schema.enum && <span className="px-1 rounded bg-amber-50 text-amber-700 text-[10px] font-mono" title={tip}>enum({schema.enum.length})</span>}
+        {schema.composition && <span className="px-1 rounded bg-violet-50 text-violet-700 text-[10px] font-mono">{schema.composition}</span>}
+        {schema.additionalProperties && <span className="px-1 rounded bg-slate-100 text-slate-500 text-[10px] font-mono" title={tip}>{'{…}'}</span>}
+        {tip && !schema.enum && <span className="text-[10px] text-gray-400 truncate max-w-[8rem]" title={tip}>{schema.refName || 'ⓘ'}</span>}
+      </>
+    );
+  };
+
   // Render schema tree
   const renderSchemaNode = (name, schema, path, isInput = true, searchTerm = '') => {
     const nodeId = path ? `${isInput ? 'input' : 'output'}-${path}` : (isInput ? 'input' : 'output');
@@ -1058,6 +2520,7 @@ const GrizzlyMappingTool = () => {
             {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
             <Folder className="w-4 h-4 text-blue-600" />
             <span className="text-sm font-medium">{name}</span>
+            {renderSchemaMeta(schema)}
             <span className="text-xs text-gray-500 ml-auto">object</span>
           </div>
           {isExpanded && (
@@ -1094,6 +2557,7 @@ const GrizzlyMappingTool = () => {
             {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
             <Database className={`w-4 h-4 ${isMapped ? 'text-emerald-600' : 'text-green-600'}`} />
             <span className="text-sm font-medium">{name}</span>
+            {renderSchemaMeta(schema)}
             {isMapped && <CheckCircle2 className="w-3.5 h-3.5 text-emerald-500 ml-auto" />}
             <span className="text-xs text-gray-500 ml-auto">array</span>
           </div>
@@ -1123,8 +2587,11 @@ const GrizzlyMappingTool = () => {
         >
           <File className={`w-4 h-4 ${isMapped ? 'text-emerald-600' : 'text-slate-600'}`} />
           <span className="text-sm">{name}</span>
+          {renderSchemaMeta(schema)}
           {isMapped && <CheckCircle2 className="w-3.5 h-3.5 text-emerald-500" />}
-          <span className="text-xs text-gray-500 ml-auto">{schema.type}</span>
+          {SCHEMA_TYPE_CONFIG[schemaTypeKey(schema)]
+            ? <span className={`ml-auto px-1.5 rounded text-[10px] font-mono ${SCHEMA_TYPE_CONFIG[schemaTypeKey(schema)].className}`} title={schema.type}>{SCHEMA_TYPE_CONFIG[schemaTypeKey(schema)].label}</span>
+            : <span className="text-xs text-gray-500 ml-auto">{schema.type}</span>}
         </div>
       );
     }
@@ -1176,6 +2643,8 @@ const GrizzlyMappingTool = () => {
       newItem.iterator = 'item';
       newItem.iterable = '';
       newItem.children = [];
+    } else if (type === 'raw') {
+      newItem.code = '';
     }
 
     if (parentId === null) {
@@ -1699,10 +3168,66 @@ const GrizzlyMappingTool = () => {
 
 
   // Render individual mapping item
+  // Items keep the `# …` lines found above them in an uploaded template; they are shown
+  // (and editable) above the item and written back by generateCode. An item opened from the
+  // Step 3 diff is ringed while it scrolls into view. Focus inside an item (innermost wins,
+  // capture runs outside-in) marks it as the one being edited for the live preview.
   const renderItem = (item, depth = 0, parentId = null, index = 0) => {
+    const body = renderItemBody(item, depth, parentId, index);
+    return (
+      <div
+        key={item.id}
+        id={`mapping-item-${item.id}`}
+        onFocusCapture={() => setEditingItemId(item.id)}
+        className={focusedItemId === item.id ? 'rounded-lg ring-2 ring-amber-400 ring-offset-2' : undefined}
+      >
+        {item.comment != null && (
+          <div className="group flex items-start gap-2 mb-1" style={{ marginLeft: `${depth * 24}px` }}>
+            <textarea
+              value={item.comment}
+              onChange={(e) => updateItem(item.id, 'comment', e.target.value)}
+              rows={item.comment.split('\n').length}
+              className="flex-1 px-2 py-1 border border-transparent rounded text-xs font-mono italic text-slate-500 bg-transparent resize-none hover:border-slate-200 focus:outline-none focus:border-slate-400 focus:bg-white"
+            />
+            <button type="button" onClick={() => updateItem(item.id, 'comment', null)} title="Remove comment" className="p-1 text-slate-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity shrink-0">
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+        {body}
+      </div>
+    );
+  };
+
+  const renderItemBody = (item, depth, parentId, index) => {
     const isExpanded = expandedBlocks.has(item.id);
     const indentWidth = depth * 24;
 
+    if (item.type === 'raw') {
+      return (
+        <div key={item.id} className="group rounded-lg" style={{ marginLeft: `${indentWidth}px` }}>
+          <div className="border border-slate-200 rounded-lg overflow-hidden">
+            <div className="flex items-center gap-2 px-3 py-1.5 bg-slate-100 border-b border-slate-200">
+              <FileCode className="w-4 h-4 text-slate-500 shrink-0" />
+              <span className="text-xs font-medium text-slate-600">Raw Python</span>
+              <span className="text-xs text-slate-400">
+                {item.topLevel ? `module level — written verbatim at the ${item.topLevel === 'head' ? 'top' : 'end'} of the file` : 'written verbatim at this position'}
+              </span>
+              <button type="button" onClick={() => deleteItem(item.id)} className="ml-auto p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded opacity-0 group-hover:opacity-100 transition-opacity shrink-0">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <EditableCodeBlock
+              value={item.code || ''}
+              onChange={code => updateItem(item.id, 'code', code)}
+              placeholder="# comment or Python statement(s)"
+              rows={Math.max(2, (item.code || '').split('\n').length)}
+            />
+          </div>
+        </div>
+      );
+    }
+
     if (item.type === 'module_call') {
       const otherModules = modules.filter((m, i) => i !== activeModule && m.name !== 'main');
       return (
@@ -2213,6 +3738,7 @@ const GrizzlyMappingTool = () => {
           <button onClick={() => addItem(parentId, 'assignment')} className={`px-3 py-1.5 bg-white border ${borderColor} ${textColor} rounded ${hoverColor} text-xs flex items-center gap-1`}><ArrowRight className="w-3 h-3" /> Map Field</button>
           <button onClick={() => addItem(parentId, 'if')}         className={`px-3 py-1.5 bg-white border ${borderColor} ${textColor} rounded ${hoverColor} text-xs flex items-center gap-1`}><Plus className="w-3 h-3" /> If</button>
           <button onClick={() => addItem(parentId, 'for')}        className={`px-3 py-1.5 bg-white border ${borderColor} ${textColor} rounded ${hoverColor} text-xs flex items-center gap-1`}><Plus className="w-3 h-3" /> For</button>
+          <button onClick={() => addItem(parentId, 'raw')}        className={`px-3 py-1.5 bg-white border ${borderColor} ${textColor} rounded ${hoverColor} text-xs flex items-center gap-1`}><FileCode className="w-3 h-3" /> Raw Code</button>
         </div>
       );
 
@@ -2370,6 +3896,7 @@ const GrizzlyMappingTool = () => {
                   >
                     <Plus className="w-3 h-3" /> For
                   </button>
+                  <button onClick={() => addItem(item.id, 'raw')} className="px-3 py-1.5 bg-white border border-green-300 text-green-700 rounded hover:bg-green-50 text-xs flex items-center gap-1"><FileCode className="w-3 h-3" /> Raw Code</button>
                 </div>
               </div>
             )}
@@ -2417,7 +3944,8 @@ const GrizzlyMappingTool = () => {
     alert('Template generated! Check console for output.');
   };
 
-  const generateCode = () => {
+  // lineOwners, when given, is filled with the ids of the mapping item(s) behind each emitted line
+  const generateCode = (lineOwners = null) => {
     const lines = [];
 
     // Convert to PascalCase for function name: "items" -> "Items", "about_version" -> "AboutVersion"
@@ -2466,7 +3994,9 @@ const GrizzlyMappingTool = () => {
         const ch = expr[i];
         if (ch === "'" && !inDouble) { inSingle = !inSingle; result += ch; continue; }
         if (ch === '"' && !inSingle) { inDouble = !inDouble; result += ch; continue; }
-        if (!inSingle && !inDouble && ch === '.' && expr[i - 1] !== '?') {
+        // Decimal point of a numeric literal (3.5) is not a property access
+        const isDecimalPoint = /(^|[^\w.?])\d+$/.test(result) && /\d/.test(expr[i + 1] || '');
+        if (!inSingle && !inDouble && ch === '.' && expr[i - 1] !== '?' && !isDecimalPoint) {
           result += '?.';
         } else {
           result += ch;
@@ -2696,6 +4226,8 @@ const GrizzlyMappingTool = () => {
                 type: 'assignment',
                 cleanedTarget: `${rootKey}.__staticList__`,
                 expression: '',
+                id: item.id,
+                comment: item.comment,
                 _staticMeta: { elements: item.lcElements || [], rootKey }
               }]
             });
@@ -2707,6 +4239,8 @@ const GrizzlyMappingTool = () => {
                 type: 'assignment',
                 cleanedTarget: `${rootKey}.__objectDict__`,
                 expression: '',
+                id: item.id,
+                comment: item.comment,
                 _objectMeta: { fields: (item.lcElements && item.lcElements[0] && item.lcElements[0].fields) || [], rootKey }
               }]
             });
@@ -2718,6 +4252,8 @@ const GrizzlyMappingTool = () => {
                 type: 'assignment',
                 cleanedTarget: `${rootKey}.__listComp__`,
                 expression: '',
+                id: item.id,
+                comment: item.comment,
                 _forMeta: { iterator: item.lcIterator || 'item', iterable: item.lcIterable || '', children: item.lcChildren || [], isFromListComp: true }
               }]
             });
@@ -2751,6 +4287,8 @@ const GrizzlyMappingTool = () => {
                 type: 'assignment',
                 cleanedTarget: `${rootKey}.__listComp__`,
                 expression: '',
+                id: item.id,
+                comment: item.comment,
                 _forMeta: { iterator: item.iterator, iterable: item.iterable, children: item.children }
               });
               return;
@@ -2772,11 +4310,18 @@ const GrizzlyMappingTool = () => {
 
     // ─── Emit lines ───────────────────────────────────────────────────────────
 
+    // Free text typed into a comment becomes # comment lines
+    const emitComment = (text, pre = '') => {
+      if (text) text.split('\n').map(l => l.trim()).forEach(l => lines.push(l ? `${pre}${l.startsWith('#') ? l : `# ${l}`}` : ''));
+    };
+
     const emitLines = (items, indent, forCtx = null) => {
       const pre = '    '.repeat(indent);
       const groups = groupAssignmentsByRoot(items);
 
-      groups.forEach(group => {
+      const emitGroup = (group) => {
+        // Comments of every item in the group go above its first line
+        (group.item ? [group.item] : group.assignments || []).forEach(a => emitComment(a.comment, pre));
         if (group.item) {
           emitSingleItem(group.item, indent, forCtx);
         } else if (group.assignments && group.assignments.length > 0) {
@@ -2977,6 +4522,15 @@ const GrizzlyMappingTool = () => {
             dictLines.slice(1).forEach(l => lines.push(l));
           }
         }
+      };
+
+      groups.forEach(group => {
+        const start = lines.length;
+        emitGroup(group);
+        if (!lineOwners) return;
+        // Nested blocks were tagged first, so only lines still unowned belong to this group
+        const ids = group.item ? [group.item.id] : group.assignments.map(a => a.id).filter(Boolean);
+        for (let i = start; i < lines.length; i++) if (!lineOwners[i]) lineOwners[i] = ids;
       });
     };
 
@@ -3003,33 +4557,26 @@ const GrizzlyMappingTool = () => {
         return;
       }
 
+      if (m.type === 'raw') {
+        (m.code || '').split('\n').forEach(l => lines.push(l.trim() ? `${pre}${l}` : ''));
+        return;
+      }
+
       if (m.type === 'if') {
         const rawCond = forCtx ? rewriteForExpr(cleanExpr(m.condition || 'False'), forCtx.iterator, forCtx.iterable) : cleanExpr(m.condition || 'False');
         const cond = rawCond;
         lines.push(`${pre}if ${cond}:`);
-        if ((m.children || []).length > 0) {
-          emitLines(m.children, indent + 1, forCtx);
-        } else {
-          lines.push(`${pre}    pass`);
-        }
+        emitBlock(m.children, indent + 1, forCtx);
         (m.elifBlocks || []).forEach(eb => {
           const elifCond = forCtx
             ? rewriteForExpr(cleanExpr(eb.condition || 'False'), forCtx.iterator, forCtx.iterable)
             : cleanExpr(eb.condition || 'False');
           lines.push(`${pre}elif ${elifCond}:`);
-          if ((eb.children || []).length > 0) {
-            emitLines(eb.children, indent + 1, forCtx);
-          } else {
-            lines.push(`${pre}    pass`);
-          }
+          emitBlock(eb.children, indent + 1, forCtx);
         });
         if (m.elseBlock) {
           lines.push(`${pre}else:`);
-          if ((m.elseBlock.children || []).length > 0) {
-            emitLines(m.elseBlock.children, indent + 1, forCtx);
-          } else {
-            lines.push(`${pre}    pass`);
-          }
+          emitBlock(m.elseBlock.children, indent + 1, forCtx);
         }
         return;
       }
@@ -3039,25 +4586,39 @@ const GrizzlyMappingTool = () => {
         const iterator = m.iterator || 'item';
         const newForCtx = { iterator, iterable: iterExpr };
         lines.push(`${pre}for ${iterator} in (${iterExpr} or []):`);
-        if ((m.children || []).length > 0) {
-          emitLines(m.children, indent + 1, newForCtx);
-        } else {
-          lines.push(`${pre}    pass`);
-        }
+        emitBlock(m.children, indent + 1, newForCtx);
       }
     };
 
+    // Body of an if/elif/else/for — `pass` when it holds no statement (comments alone don't count)
+    const emitBlock = (items, indent, forCtx) => {
+      const start = lines.length;
+      emitLines(items || [], indent, forCtx);
+      if (!lines.slice(start).some(l => l.trim() && !l.trim().startsWith('#'))) lines.push(`${'    '.repeat(indent)}pass`);
+    };
+
     // ─── Top-level emission ───────────────────────────────────────────────────
 
     lines.push('# GRIZZLY_TEMPLATE_V1');
     lines.push('');
 
+    // Module-level raw code (imports, constants …) kept from an uploaded template
+    const main = modules.find(m => m.name === 'main');
+    const moduleLevelCode = (where) => (main?.mappings || []).filter(m => m.type === 'raw' && m.topLevel === where);
+    if (moduleLevelCode('head').length) {
+      emitLines(moduleLevelCode('head'), 0);
+      lines.push('');
+      lines.push('');
+    }
+    const preludeAt = lines.length; // after the head code, so a `from __future__` import stays first
+
     // Emit custom registered function bodies before the generated mapXxx functions
     const customFns = registeredFunctions.filter(f => !f.builtin && f.body && f.body.trim());
     if (customFns.length > 0) {
       lines.push('# ── Helper functions (registered via Grizzly) ──────────────────────────────');
       lines.push('');
       customFns.forEach(fn => {
+        emitComment(fn.comment);
         fn.body.trim().split('\n').forEach(l => lines.push(l));
         lines.push('');
         lines.push('');
@@ -3067,6 +4628,7 @@ const GrizzlyMappingTool = () => {
     modules.filter(m => m.name !== 'main' && m.mappings.length > 0).forEach(mod => {
       const funcName = `map${toCamelFuncName(mod.name)}`;
       const docTitle = `Map ${toDocTitle(mod.name)}`;
+      emitComment(mod.comment);
       lines.push(`def ${funcName}(INPUT, OUTPUT):`);
       lines.push(`    """${docTitle}"""`);
       emitLines(mod.mappings, 1);
@@ -3074,14 +4636,26 @@ const GrizzlyMappingTool = () => {
       lines.push('');
     });
 
-    const main = modules.find(m => m.name === 'main');
     if (main) {
+      emitComment(main.comment);
       lines.push('def transform(INPUT):');
       lines.push('    """Transform"""');
       lines.push('    OUTPUT = {}');
-      emitLines(main.mappings, 1);
+      emitLines(main.mappings.filter(m => !(m.type === 'raw' && m.topLevel)), 1);
       lines.push('    return OUTPUT');
     }
+    if (moduleLevelCode('tail').length) {
+      lines.push('');
+      lines.push('');
+      emitLines(moduleLevelCode('tail'), 0);
+    }
+
+    // Builtins the template calls (bare calls, not methods like datetime.now()) get their Python
+    // definitions after the header and module-level head code
+    const calls = lines.filter(l => !l.trim().startsWith('#')).join('\n');
+    const prelude = builtinPrelude(Object.keys(BUILTIN_PRELUDE).filter(name => new RegExp(`(?<![\\w.])${name}\\s*\\(`).test(calls)));
+    lines.splice(preludeAt, 0, ...prelude);
+    if (lineOwners?.length > preludeAt) lineOwners.splice(preludeAt, 0, ...prelude.map(() => null));
 
     return lines.join('\n');
   };
@@ -3092,58 +4666,251 @@ const GrizzlyMappingTool = () => {
       const content = e.target.result;
       if (type === 'template') {
         setTemplateFileName(file?.name || '');
+        setTemplateSource(content);
         try {
-          const mods = parseTemplate(content);
+          const { modules: mods, functions: fns, diagnostics } = parseTemplate(content);
+          setTemplateDiagnostics(diagnostics);
           if (mods && mods.length) {
             setModules(mods);
             setActiveModule(0);
           }
+          // Defs named like a builtin (e.g. from an older prelude) stay builtins
+          const builtinNames = new Set(BUILTIN_REG_FUNCTIONS.map(f => f.name));
+          const helpers = fns.filter(f => !builtinNames.has(f.name));
+          if (helpers.length) {
+            // Template helpers replace same-named registered functions; everything else is kept
+            const names = new Set(helpers.map(f => f.name));
+            setRegisteredFunctions(prev => [...prev.filter(f => f.builtin || !names.has(f.name)), ...helpers]);
+          }
         } catch (err) {
           console.error(err);
+          setTemplateDiagnostics([{ line: 0, fn: null, text: err.message, reason: 'Template could not be parsed' }]);
         }
         return;
       }
+      setSchemaFileError(prev => ({ ...prev, [type]: null }));
       try {
-        const parsed = JSON.parse(content);
+        // XSD, JSON Schema, or sample JSON / NDJSON documents to infer the tree from
+        let schema;
+        if (/\.xsd$/i.test(file?.name || '') || content.trimStart().startsWith('<')) {
+          schema = xsdToSchema(content);
+        } else if (/\.(csv|tsv)$/i.test(file?.name || '')) {
+          schema = loadFlatFile(type, content, file.name);
+        } else {
+          const docs = parseSampleDocs(content, file?.name);
+          if (docs.length === 1 && isOpenApiDoc(docs[0])) {
+            loadOpenApiSpec(type, docs[0], file?.name || 'openapi');
+            return;
+          }
+          schema = schemaFromDocs(docs);
+        }
         if (type === 'input') {
-          setInputSchema(parsed.type && parsed.properties ? parsed : jsonToSchema(parsed));
+          setInputSchema(schema);
           setInputFileName(file?.name || '');
         } else if (type === 'output') {
-          setOutputSchema(parsed.type && parsed.properties ? parsed : jsonToSchema(parsed));
+          setOutputSchema(schema);
           setOutputFileName(file?.name || '');
         }
       } catch (err) {
         console.error(err);
+        setSchemaFileError(prev => ({ ...prev, [type]: { fileName: file?.name || '', message: err.message } }));
       }
     };
     reader.readAsText(file);
   };
 
+  // OpenAPI upload: remember the spec and use its first schema for the side it was dropped on;
+  // the Step 1 picker switches either side to any other component / body schema
+  const loadOpenApiSpec = (type, doc, fileName) => {
+    const entries = listOpenApiSchemas(doc);
+    if (!entries.length) throw new Error('OpenAPI document has no component schemas or JSON bodies');
+    const spec = { fileName, doc, entries };
+    setOpenApiSpec(spec);
+    setOpenApiPick({ input: '', output: '' });
+    pickOpenApiSchema(type, entries[0].id, spec);
+  };
+
+  const pickOpenApiSchema = (type, id, spec = openApiSpec) => {
+    setOpenApiPick(prev => ({ ...prev, [type]: id }));
+    const entry = spec?.entries.find(e => e.id === id);
+    if (!entry) return;
+    const schema = jsonSchemaToTree(entry.schema, spec.doc);
+    const label = `${spec.fileName} › ${entry.label}`;
+    if (type === 'input') {
+      setInputSchema(schema);
+      setInputFileName(label);
+    } else {
+      setOutputSchema(schema);
+      setOutputFileName(label);
+    }
+  };
+
+  // CSV upload → flat schema. On the input side its rows (or, for a fixed-width layout, the
+  // rows of a data file loaded against it) become selectable preview INPUTs in Step 4.
+  const loadFlatFile = (type, content, fileName) => {
+    const table = csvToRecords(content);
+    const layout = parseFixedWidthLayout(table);
+    const schema = flatFileSchema(table, layout);
+    if (type === 'input') {
+      const rows = layout ? [] : table.records;
+      setFlatInput({ fileName, layout, rows });
+      if (rows.length) setPreviewInput(JSON.stringify(rows[0], null, 2));
+    }
+    return schema;
+  };
+
+  const loadFixedWidthData = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const rows = parseFixedWidthRows(e.target.result, flatInput.layout);
+      setFlatInput(prev => ({ ...prev, dataFileName: file.name, rows }));
+      if (rows.length) setPreviewInput(JSON.stringify(rows[0], null, 2));
+    };
+    reader.readAsText(file);
+  };
+
+  // A second version of one side's schema, diffed against the loaded one. An OpenAPI file is
+  // compared on the entry currently picked for that side.
+  const loadSchemaVersion = async (type, file) => {
+    try {
+      const content = await file.text();
+      let schema;
+      if (/\.xsd$/i.test(file.name) || content.trimStart().startsWith('<')) {
+        schema = xsdToSchema(content);
+      } else if (/\.(csv|tsv)$/i.test(file.name)) {
+        const table = csvToRecords(content);
+        schema = flatFileSchema(table, parseFixedWidthLayout(table));
+      } else {
+        const docs = parseSampleDocs(content, file.name);
+        if (docs.length === 1 && isOpenApiDoc(docs[0])) {
+          const entries = listOpenApiSchemas(docs[0]);
+          const entry = entries.find(e => e.id === openApiPick[type]) || (entries.length === 1 ? entries[0] : null);
+          if (!entry) throw new Error(openApiPick[type] ? `${openApiPick[type]} is not in this spec` : `Pick the ${type} schema from the current OpenAPI spec first`);
+          schema = jsonSchemaToTree(entry.schema, docs[0]);
+        } else {
+          schema = schemaFromDocs(docs);
+        }
+      }
+      const current = type === 'input' ? inputSchema : outputSchema;
+      setSchemaDiff({ type, fileName: file.name, schema, changes: diffSchemas(current, schema, type) });
+    } catch (err) {
+      console.error(err);
+      setSchemaDiff({ type, fileName: file.name, error: err.message });
+    }
+  };
+
+  const adoptSchemaVersion = () => {
+    if (schemaDiff.type === 'input') {
+      setInputSchema(schemaDiff.schema);
+      setInputFileName(schemaDiff.fileName);
+    } else {
+      setOutputSchema(schemaDiff.schema);
+      setOutputFileName(schemaDiff.fileName);
+    }
+    setSchemaDiff(null);
+  };
+
+  // Mapping items reading or writing a removed / retyped / moved path (or anything below it)
+  const schemaDiffImpact = useMemo(() => {
+    if (!schemaDiff?.changes) return new Map();
+    const used = flattenMappings(modules).map(entry => ({ ...entry, paths: getItemPaths(entry.item, entry.loops)[schemaDiff.type] }));
+    const impact = new Map();
+    schemaDiff.changes.filter(c => c.kind !== 'added').forEach(change => {
+      const hits = used.filter(({ paths }) => paths.some(p => p === change.path || p.startsWith(change.path + '.')));
+      if (hits.length) impact.set(change, hits);
+    });
+    return impact;
+  }, [schemaDiff, modules]);
+
+  // Flat-file rows only apply while that file is still the input schema
+  const activeFlatInput = flatInput && inputFileName === flatInput.fileName ? flatInput : null;
+
+  // Several sample files picked at once are merged into one inferred schema
+  const handleSchemaFiles = async (type, fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length <= 1) {
+      if (files[0]) handleFile(type, files[0]);
+      return;
+    }
+    setSchemaFileError(prev => ({ ...prev, [type]: null }));
+    try {
+      const texts = await Promise.all(files.map(f => f.text()));
+      const schema = inferSchema(texts.flatMap((text, i) => parseSampleDocs(text, files[i].name)));
+      const label = files.map(f => f.name).join(', ');
+      if (type === 'input') {
+        setInputSchema(schema);
+        setInputFileName(label);
+      } else {
+        setOutputSchema(schema);
+        setOutputFileName(label);
+      }
+    } catch (err) {
+      console.error(err);
+      setSchemaFileError(prev => ({ ...prev, [type]: { fileName: files.map(f => f.name).join(', '), message: err.message } }));
+    }
+  };
+
   const step2OrderedMappings = [...mappings.filter(m => m.type === 'module_call'), ...mappings.filter(m => m.type !== 'module_call')];
 
   // Changes dashboard: compare current modules to baseline (set when entering step 2)
-  const mappingChanges = (() => {
-    if (!baselineModules || step !== 3) return { added: [], deleted: [], changed: [] };
-    const baseFlat = flattenMappings(baselineModules);
-    const currFlat = flattenMappings(modules);
-    const byId = (list) => {
-      const m = new Map();
-      list.forEach(({ moduleName, item }) => m.set(item.id, { moduleName, item }));
-      return m;
+  const mappingChanges = !baselineModules || step < 3
+    ? { added: [], deleted: [], changed: [] }
+    : diffModules(baselineModules, modules);
+
+  // Same changes grouped per module (in current module order, then modules that were removed)
+  const mappingChangesByModule = (() => {
+    const groups = new Map(modules.map(m => [m.name, []]));
+    const add = (moduleName, entry) => {
+      if (!groups.has(moduleName)) groups.set(moduleName, []);
+      groups.get(moduleName).push(entry);
     };
-    const baseMap = byId(baseFlat);
-    const currMap = byId(currFlat);
-    const added = [];
-    const deleted = [];
-    const changed = [];
-    currMap.forEach((curr, id) => {
-      if (!baseMap.has(id)) added.push(curr);
-      else if (getItemSignature(baseMap.get(id).item) !== getItemSignature(curr.item)) changed.push({ before: baseMap.get(id), after: curr });
+    mappingChanges.added.forEach(({ moduleName, item }) => add(moduleName, { kind: 'added', after: item }));
+    mappingChanges.changed.forEach(({ before, after }) => add(after.moduleName, { kind: 'changed', before: before.item, after: after.item }));
+    mappingChanges.deleted.forEach(({ moduleName, item }) => add(moduleName, { kind: 'deleted', before: item }));
+    return [...groups].filter(([, entries]) => entries.length);
+  })();
+  const mappingChangeCount = mappingChanges.added.length + mappingChanges.deleted.length + mappingChanges.changed.length;
+
+  // Open an item in Step 2: switch to its module, expand the if/elif/else/for blocks around it
+  const jumpToItem = (itemId) => {
+    const ancestors = [];
+    const find = (items, trail) => (items || []).some(item => {
+      if (item.id === itemId) {
+        ancestors.push(...trail);
+        return true;
+      }
+      return find(item.children, [...trail, item.id])
+        || (item.elifBlocks || []).some(eb => find(eb.children, [...trail, item.id, eb.id]))
+        || (!!item.elseBlock && find(item.elseBlock.children, [...trail, item.id, item.elseBlock.id]));
     });
-    baseMap.forEach((base, id) => {
-      if (!currMap.has(id)) deleted.push(base);
+    const moduleIdx = modules.findIndex(mod => find(mod.mappings, []));
+    if (moduleIdx < 0) return;
+    setExpandedBlocks(prev => new Set([...prev, ...ancestors]));
+    setActiveModule(moduleIdx);
+    setShowFnSheet(false);
+    setFocusedItemId(itemId);
+    expandBothTrees();
+    setStep(2);
+  };
+
+  // Step 3 diff: uploaded template → generated template; each hunk lists the items behind its lines
+  const templateDiff = (() => {
+    if (step !== 3 || codeView === 'generated' || templateSource == null) return null;
+    const owners = [];
+    const generated = generateCode(owners).replace(/\s+$/, '').split('\n');
+    const itemsById = new Map(flattenMappings(modules).map(entry => [entry.item.id, entry]));
+    return diffHunks(diffLines(templateSource.replace(/\s+$/, '').split(/\r?\n/), generated)).map(hunk => {
+      const ids = new Set();
+      hunk.rows.forEach((row, idx) => {
+        if (row.op === 'same') return;
+        // A deleted line is attributed to the generated lines on either side of it
+        const near = row.op === 'add'
+          ? [row]
+          : [hunk.rows.slice(0, idx).reverse().find(r => r.b != null), hunk.rows.slice(idx + 1).find(r => r.b != null)];
+        near.forEach(r => (r ? owners[r.b] || [] : []).forEach(id => ids.add(id)));
+      });
+      return { ...hunk, items: [...ids].map(id => itemsById.get(id)).filter(Boolean) };
     });
-    return { added, deleted, changed };
   })();
 
   const goToStep2 = () => {
@@ -3156,6 +4923,7 @@ const GrizzlyMappingTool = () => {
   // Relative path — Vite dev server proxies /api/grizzly → http://localhost:8080
   // so there are zero CORS issues. In prod, point this at your deployed backend.
   const GRIZZLY_API = '/api/grizzly';
+  const grizzlyFetch = (url, init = {}) => fetch(url, GRIZZLY_SESSION ? { ...init, headers: { ...init.headers, 'X-Grizzly-Session': GRIZZLY_SESSION } } : init);
 
   // Preview
   const [previewInput, setPreviewInput]       = useState('');
@@ -3163,6 +4931,10 @@ const GrizzlyMappingTool = () => {
   const [previewError, setPreviewError]       = useState(null);
   const [previewRunning, setPreviewRunning]   = useState(false);
   const [previewRanOk, setPreviewRanOk]       = useState(false);  // gate for Save
+  const [previewEngine, setPreviewEngine]     = useState('engine');  // 'engine' = POST /preview | 'browser' = live in-page runner
+  const [showLivePreview, setShowLivePreview] = useState(false);     // Step 2 right-hand preview pane
+  const [previewTrace, setPreviewTrace]       = useState(false);     // Step 4: record a per-field execution trace
+  const [traceStep, setTraceStep]             = useState(-1);        // open trace entry, -1 = none
 
   // Golden dataset
   const [gdTab, setGdTab]                     = useState('list'); // 'list' | 'add' | 'run'
@@ -3177,6 +4949,7 @@ const GrizzlyMappingTool = () => {
   const [gdSaving, setGdSaving]               = useState(false);
   const [gdSaveStatus, setGdSaveStatus]       = useState(null); // null | 'saving' | 'saved' | 'blocked'
   const [gdSaveFailures, setGdSaveFailures]   = useState([]);
+  const [gdSaveError, setGdSaveError]         = useState(null); // server / network reason when blocked without test failures
   // Add form
   const [newCaseSvc, setNewCaseSvc]           = useState('');
   const [newCaseFamily, setNewCaseFamily]     = useState('');
@@ -3187,8 +4960,176 @@ const GrizzlyMappingTool = () => {
   const [gdViewCase, setGdViewCase]           = useState(null);  // case to view (modal)
   const [gdEditCase, setGdEditCase]          = useState(null);  // case to edit (pre-fills add form)
 
-  // Derive mapping family name from modules (fallback to 'default')
-  const mappingFamily = modules[0]?.name || 'main';
+  // Derive mapping family name from modules (fallback to 'default')
+  const mappingFamily = modules[0]?.name || 'main';
+
+  // ── Project: the working state as one document (project file and autosave) ──
+  const currentProject = useMemo(() => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    input: { fileName: inputFileName, schema: inputSchema },
+    output: { fileName: outputFileName, schema: outputSchema },
+    template: { fileName: templateFileName, source: templateSource, diagnostics: templateDiagnostics },
+    modules,
+    functions: registeredFunctions.filter(f => !f.builtin),
+    preview: { input: previewInput, flatInput },
+  }), [inputFileName, inputSchema, outputFileName, outputSchema, templateFileName, templateSource, templateDiagnostics,
+    modules, registeredFunctions, previewInput, flatInput]);
+
+  const applyProject = (project) => {
+    setInputSchema(project.input?.schema || defaultInputSchema);
+    setOutputSchema(project.output?.schema || defaultOutputSchema);
+    setInputFileName(project.input?.fileName || '');
+    setOutputFileName(project.output?.fileName || '');
+    setSchemaFileError({ input: null, output: null });
+    setTemplateFileName(project.template?.fileName || '');
+    setTemplateSource(project.template?.source ?? null);
+    setTemplateDiagnostics(project.template?.diagnostics || []);
+    setModules(project.modules);
+    setActiveModule(0);
+    setRegisteredFunctions([...BUILTIN_REG_FUNCTIONS, ...(project.functions || [])]);
+    setFlatInput(project.preview?.flatInput || null);
+    setPreviewInput(project.preview?.input || '');
+    setOpenApiSpec(null);
+    setSchemaDiff(null);
+  };
+
+  const [projectIncludeTests, setProjectIncludeTests] = useState(false);
+  const [projectFile, setProjectFile] = useState(null); // { fileName, testCases, imported?, failed? } | { fileName, error }
+
+  const saveProject = async () => {
+    const project = { ...currentProject, savedAt: new Date().toISOString() };
+    if (projectIncludeTests) {
+      try {
+        const res = await grizzlyFetch(`${GRIZZLY_API}/test-cases`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        project.testCases = (Array.isArray(data) ? data : [])
+          .filter(c => c.mappingFamily === mappingFamily)
+          .map(c => ({ service: c.service, mappingFamily: c.mappingFamily, testName: c.testName, input: c.input, expected: c.expected }));
+      } catch (e) {
+        if (!window.confirm(`Test cases could not be loaded (${e.message}). Save the project without them?`)) return;
+      }
+    }
+    downloadText(`${mappingFamily}.grizzly.json`, JSON.stringify(project, null, 2));
+  };
+
+  const openProject = async (file) => {
+    try {
+      const project = JSON.parse(await file.text());
+      if (!isGrizzlyProject(project)) throw new Error(`${file.name} is not a Grizzly project file`);
+      if (project.version > PROJECT_VERSION) throw new Error(`${file.name} uses project format ${project.version}; this Grizzly reads up to ${PROJECT_VERSION}`);
+      applyProject(project);
+      setProjectFile({ fileName: file.name, testCases: project.testCases || [] });
+    } catch (e) {
+      setProjectFile({ fileName: file.name, error: e.message });
+    }
+  };
+
+  // Test cases bundled in an opened project are added to the golden dataset on request
+  const importProjectTestCases = async () => {
+    let imported = 0;
+    const failed = [];
+    for (const c of projectFile.testCases) {
+      try {
+        const res = await grizzlyFetch(`${GRIZZLY_API}/test-cases`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(c) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        imported++;
+      } catch (e) {
+        failed.push(`${c.testName}: ${e.message}`);
+      }
+    }
+    setProjectFile(prev => ({ ...prev, imported, failed }));
+  };
+
+  // ── Autosave: persist the session shortly after each change ──────────────
+  const [pendingRestore, setPendingRestore] = useState(readAutosave); // session found on load, until restored or discarded
+  const [earlierSession, setEarlierSession] = useState(() => readAutosave(AUTOSAVE_EARLIER_KEY)); // an older offer that was worked past
+  const startProject = useRef(currentProject); // the untouched start state is never saved over an offered session
+  const offerMovedAside = useRef(false);
+
+  useEffect(() => {
+    if (pendingRestore && currentProject === startProject.current) return;
+    const timer = setTimeout(() => {
+      try {
+        if (pendingRestore && !offerMovedAside.current) {
+          localStorage.setItem(AUTOSAVE_EARLIER_KEY, JSON.stringify(pendingRestore));
+          offerMovedAside.current = true;
+        }
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify({ ...currentProject, savedAt: Date.now(), step, activeModule, baselineModules }));
+      } catch (err) {
+        console.error('Autosave failed', err);
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [pendingRestore, currentProject, step, activeModule, baselineModules]);
+
+  const restoreSession = (saved) => {
+    applyProject(saved);
+    setBaselineModules(saved.baselineModules || null);
+    setActiveModule(Math.min(saved.activeModule || 0, saved.modules.length - 1));
+    setStep(saved.step || 1);
+    discardSavedSession();
+  };
+
+  // Answering the offer either way clears it; autosave then writes the current work over the latest one
+  const discardSavedSession = () => {
+    localStorage.removeItem(AUTOSAVE_EARLIER_KEY);
+    setPendingRestore(null);
+    setEarlierSession(null);
+  };
+  const sessionSummary = (saved) => {
+    const itemCount = flattenMappings(saved.modules).length;
+    return `Input: ${saved.input?.fileName || 'default'} · Output: ${saved.output?.fileName || 'default'} · Template: ${saved.template?.fileName || 'none'}`
+      + ` · ${saved.modules.length} module${saved.modules.length !== 1 ? 's' : ''}, ${itemCount} mapping item${itemCount !== 1 ? 's' : ''}`;
+  };
+
+  // ── Snapshots: tag, compare and restore whole project states ─────────────
+  const [snapshots, setSnapshots] = useState(readSnapshots);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [snapshotCompare, setSnapshotCompare] = useState({ a: '', b: 'current' }); // snapshot ids, or 'current'
+
+  const storeSnapshots = (next) => {
+    try {
+      localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(next));
+      setSnapshots(next);
+    } catch (e) {
+      alert('Snapshot could not be stored: ' + e.message);
+    }
+  };
+
+  const takeSnapshot = () => {
+    const name = snapshotName.trim() || `Snapshot ${snapshots.length + 1}`;
+    storeSnapshots([{ id: uid(), name, createdAt: Date.now(), project: currentProject }, ...snapshots]);
+    setSnapshotName('');
+  };
+
+  const restoreSnapshot = (snap) => {
+    if (!window.confirm(`Replace the working mappings, functions and schemas with "${snap.name}"?`)) return;
+    applyProject(snap.project);
+    setShowSnapshots(false);
+  };
+
+  const deleteSnapshot = (snap) => {
+    if (!window.confirm(`Delete snapshot "${snap.name}"?`)) return;
+    storeSnapshots(snapshots.filter(s => s.id !== snap.id));
+    setSnapshotCompare(prev => ({ a: prev.a === snap.id ? '' : prev.a, b: prev.b === snap.id ? 'current' : prev.b }));
+  };
+
+  // Compare two snapshots (or one against the working state): mapping items plus schema paths
+  const snapshotDiff = (() => {
+    if (!showSnapshots) return null;
+    const projectOf = (id) => (id === 'current' ? currentProject : snapshots.find(s => s.id === id)?.project);
+    const a = projectOf(snapshotCompare.a);
+    const b = projectOf(snapshotCompare.b);
+    if (!a || !b) return null;
+    return {
+      ...diffModules(a.modules, b.modules),
+      input: diffSchemas(a.input?.schema, b.input?.schema, 'input'),
+      output: diffSchemas(a.output?.schema, b.output?.schema, 'output'),
+    };
+  })();
 
   // ── Preview: call POST /api/grizzly/preview ──────────────────────────────
   const runPreview = async () => {
@@ -3200,7 +5141,7 @@ const GrizzlyMappingTool = () => {
     try { inputJson = JSON.parse(previewInput); }
     catch (e) { setPreviewError('Invalid JSON: ' + e.message); setPreviewRunning(false); return; }
     try {
-      const res = await fetch(`${GRIZZLY_API}/preview`, {
+      const res = await grizzlyFetch(`${GRIZZLY_API}/preview`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ templateCode: generateCode(), sampleInput: inputJson }),
@@ -3222,16 +5163,113 @@ const GrizzlyMappingTool = () => {
     setPreviewRunning(false);
   };
 
+  // Browser preview: re-runs the template on every mapping or input change, no engine needed.
+  // Shown in Step 4 (Browser engine) and in the Step 2 live preview pane.
+  // previewOwners maps each generated line to the items behind it, for the Step 4 trace.
+  const previewOwners = [];
+  const browserPreviewCode = (step === 4 && previewEngine === 'browser') || (step === 2 && showLivePreview) ? generateCode(previewOwners) : null;
+  const withTrace = step === 4 && previewTrace;
+  const browserPreview = useMemo(() => {
+    if (browserPreviewCode === null || !previewInput.trim()) return null;
+    let inputJson;
+    try { inputJson = JSON.parse(previewInput); }
+    catch (e) { return { error: 'Invalid JSON: ' + e.message }; }
+    const trace = withTrace ? [] : null;
+    try {
+      const value = runTemplateInBrowser(browserPreviewCode, inputJson, { trace });
+      return { value, output: JSON.stringify(value, null, 2), trace };
+    }
+    catch (e) { return { error: e.message, unsupported: e.unsupported, trace }; }
+  }, [browserPreviewCode, previewInput, withTrace]);
+
+  // Trace entries name the generated line that wrote them; a group of assignments shares its
+  // lines, so prefer the item whose target covers the traced path.
+  const traceItemsById = withTrace ? new Map(flattenMappings(modules).map(entry => [entry.item.id, entry])) : null;
+  const traceOwnerAt = (line, path = null) => {
+    const owners = (previewOwners[line - 1] || []).map(id => traceItemsById.get(id)).filter(Boolean);
+    if (!path) return owners[0] || null;
+    return owners.find(({ item }) => getItemPaths(item).output.some(p => path === p || path.startsWith(p + '.'))) || owners[0] || null;
+  };
+  // Output fields written by the Step 2 item being edited, in getItemPaths form (output.a.b)
+  const editingItem = step === 2 && editingItemId ? findItemById(mappings, editingItemId) : null;
+  const touchedOutputPaths = editingItem ? getItemPaths(editingItem).output : [];
+  const shownPreviewOutput = previewEngine === 'browser' ? browserPreview?.output ?? null : previewOutput;
+  const shownPreviewError = previewEngine === 'browser' ? browserPreview?.error ?? null : previewError;
+  const shownPreviewOk = previewEngine === 'browser' ? !!browserPreview?.output : previewRanOk;
+
+  // Step 2 live preview tree. Array items keep their parent's path, so output.items.sku
+  // lights up in every item; long arrays show their first LIVE_PREVIEW_ITEMS entries.
+  const LIVE_PREVIEW_ITEMS = 20;
+  const renderPreviewValue = (value, path, label, depth = 0) => {
+    const hit = touchedOutputPaths.some(p => path === p || path.startsWith(p + '.'));
+    const isList = Array.isArray(value);
+    const isObject = value !== null && typeof value === 'object';
+    const children = !isObject ? []
+      : isList ? value.slice(0, LIVE_PREVIEW_ITEMS).map((v, i) => [`[${i}]`, v, path])
+      : Object.entries(value).map(([k, v]) => [k, v, `${path}.${k}`]);
+    return (
+      <div key={`${path}:${label}`}>
+        <div
+          title={path}
+          className={`flex items-baseline gap-1.5 pr-1 rounded font-mono text-xs ${hit ? 'bg-amber-100 text-amber-900' : 'text-slate-700'}`}
+          style={{ paddingLeft: `${depth * 12 + 4}px` }}
+        >
+          <span className={hit ? 'font-semibold' : 'text-slate-500'}>{label}</span>
+          {isObject ? (
+            <span className="text-slate-400">{isList ? `[${value.length}]` : `{${children.length}}`}</span>
+          ) : (
+            <span className={`break-all ${typeof value === 'string' ? 'text-emerald-700' : value === null ? 'text-slate-400 italic' : 'text-blue-700'}`}>
+              {JSON.stringify(value)}
+            </span>
+          )}
+        </div>
+        {children.map(([k, v, p]) => renderPreviewValue(v, p, k, depth + 1))}
+        {isList && value.length > LIVE_PREVIEW_ITEMS && (
+          <div className="text-xs text-slate-400 italic" style={{ paddingLeft: `${(depth + 1) * 12 + 4}px` }}>
+            … {value.length - LIVE_PREVIEW_ITEMS} more
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // ── Publish targets: configured on the dev server (grizzly.config.json), resolved per family ──
+  const [publishTargets, setPublishTargets] = useState(null); // null = not loaded; [{ id, label, file }]
+  const [publishTarget, setPublishTarget] = useState('');
+
+  useEffect(() => {
+    if (step !== 4) return;
+    let cancelled = false;
+    const loadTargets = async () => {
+      try {
+        const res = await grizzlyFetch(`${GRIZZLY_API}/publish-targets?family=${encodeURIComponent(mappingFamily)}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const targets = (await res.json()).targets || [];
+        if (cancelled) return;
+        setPublishTargets(targets);
+        setPublishTarget(prev => (targets.some(t => t.id === prev) ? prev : targets[0]?.id || ''));
+      } catch (e) {
+        console.error('Publish targets could not be loaded', e);
+        if (!cancelled) setPublishTargets([]);
+      }
+    };
+    loadTargets();
+    return () => { cancelled = true; };
+  }, [step, mappingFamily]);
+
+  const activePublishTarget = publishTargets?.find(t => t.id === publishTarget) || null;
+
   // ── Save: call POST /api/grizzly/validate-and-save ───────────────────────
   const validateAndSave = async () => {
     setGdSaving(true);
     setGdSaveStatus('saving');
     setGdSaveFailures([]);
+    setGdSaveError(null);
     try {
-      const res = await fetch(`${GRIZZLY_API}/validate-and-save`, {
+      const res = await grizzlyFetch(`${GRIZZLY_API}/validate-and-save`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mappingFamily, generatedCode: generateCode(), stagingPath: GRIZZLY_STAGING_PATH }),
+        body: JSON.stringify({ mappingFamily, generatedCode: generateCode(), target: publishTarget }),
       });
       const data = await res.json();
       if (res.ok && data.saved) {
@@ -3239,10 +5277,11 @@ const GrizzlyMappingTool = () => {
       } else {
         setGdSaveStatus('blocked');
         setGdSaveFailures(data.failures || []);
+        if (!data.failures?.length) setGdSaveError(data.error || `HTTP ${res.status}`);
       }
     } catch (e) {
       setGdSaveStatus('blocked');
-      setGdSaveFailures([{ testName: 'network', error: e.message }]);
+      setGdSaveError(e.message);
     }
     setGdSaving(false);
   };
@@ -3257,7 +5296,7 @@ const GrizzlyMappingTool = () => {
       if (svc)    params.set('service', svc);
       if (status) params.set('status', status);
       const url = `${GRIZZLY_API}/test-cases${params.toString() ? '?' + params : ''}`;
-      const res = await fetch(url);
+      const res = await grizzlyFetch(url);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       setGdCases(Array.isArray(data) ? data : []);
@@ -3270,7 +5309,7 @@ const GrizzlyMappingTool = () => {
   const deleteGdCase = async (id) => {
     if (!window.confirm('Soft delete this test case?')) return;
     try {
-      const res = await fetch(`${GRIZZLY_API}/test-cases/${id}`, { method: 'DELETE' });
+      const res = await grizzlyFetch(`${GRIZZLY_API}/test-cases/${id}`, { method: 'DELETE' });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       setGdCases(prev => prev.filter(c => c.id !== id));
     } catch (e) {
@@ -3298,8 +5337,8 @@ const GrizzlyMappingTool = () => {
         expected: parsedExpected,
       };
       const res = isEdit
-        ? await fetch(`${GRIZZLY_API}/test-cases/${gdEditCase.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
-        : await fetch(`${GRIZZLY_API}/test-cases`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        ? await grizzlyFetch(`${GRIZZLY_API}/test-cases/${gdEditCase.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+        : await grizzlyFetch(`${GRIZZLY_API}/test-cases`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       setNewCaseMsg({ ok: true, text: isEdit ? 'Test case updated!' : 'Test case saved!' });
       setNewCaseName(''); setNewCaseInput(''); setNewCaseExpected(''); setGdEditCase(null);
@@ -3311,7 +5350,7 @@ const GrizzlyMappingTool = () => {
     setGdRunning(true);
     setGdRunResults(null);
     try {
-      const res = await fetch(`${GRIZZLY_API}/test-cases/run-all`, {
+      const res = await grizzlyFetch(`${GRIZZLY_API}/test-cases/run-all`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ mappingFamily: gdRunFamily.trim() || mappingFamily, generatedCode: generateCode() }),
@@ -3327,12 +5366,22 @@ const GrizzlyMappingTool = () => {
 
   // Publish: run all golden dataset tests, then save only if all pass
   const handlePublish = async () => {
+    const summary = mappingChangeCount
+      ? [
+          `${mappingChanges.added.length} added, ${mappingChanges.changed.length} changed, ${mappingChanges.deleted.length} deleted since load:`,
+          ...mappingChangesByModule.flatMap(([moduleName, entries]) => entries.map(e =>
+            `${{ added: '+', changed: '~', deleted: '-' }[e.kind]} ${moduleName} › ${describeItem(e.after || e.before)}`)).slice(0, 15),
+          ...(mappingChangeCount > 15 ? [`…and ${mappingChangeCount - 15} more`] : []),
+        ].join('\n')
+      : 'No mapping changes since load.';
+    if (!activePublishTarget) return;
+    if (!window.confirm(`Publish ${mappingFamily} to ${activePublishTarget.label} (${activePublishTarget.file})?\n\n${summary}`)) return;
     setGdSaving(true);
     setGdSaveStatus(null);
     setGdSaveFailures([]);
     setGdRunResults(null);
     try {
-      const res = await fetch(`${GRIZZLY_API}/test-cases/run-all`, {
+      const res = await grizzlyFetch(`${GRIZZLY_API}/test-cases/run-all`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ mappingFamily, generatedCode: generateCode() }),
@@ -3375,9 +5424,169 @@ const GrizzlyMappingTool = () => {
         </div>
       </header>
 
+      {/* ── Snapshots: take, compare, restore ── */}
+      {showSnapshots && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={() => setShowSnapshots(false)}>
+          <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[85vh] overflow-hidden m-4 flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex items-center justify-between px-4 py-3 border-b border-slate-200 bg-slate-50">
+              <h3 className="font-semibold text-slate-700 flex items-center gap-2"><Camera className="w-4 h-4 text-slate-500" /> Snapshots</h3>
+              <button onClick={() => setShowSnapshots(false)} className="p-1.5 text-slate-400 hover:text-slate-700 rounded"><X className="w-4 h-4" /></button>
+            </div>
+            <div className="p-4 overflow-y-auto space-y-4">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={snapshotName}
+                  onChange={e => setSnapshotName(e.target.value)}
+                  onKeyDown={e => { if (e.key === 'Enter') takeSnapshot(); }}
+                  placeholder='Name, e.g. "before MISMO 3.6 changes"'
+                  className="flex-1 px-3 py-2 border border-slate-200 rounded-lg text-sm focus:outline-none focus:border-slate-400"
+                />
+                <button type="button" onClick={takeSnapshot} className="px-4 py-2 bg-slate-700 text-white rounded-lg text-sm">Take snapshot</button>
+              </div>
+
+              {snapshots.length === 0 ? (
+                <p className="text-sm text-slate-500">No snapshots yet.</p>
+              ) : (
+                <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+                  {snapshots.map(snap => (
+                    <div key={snap.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+                      <span className="font-medium text-slate-800 truncate">{snap.name}</span>
+                      <span className="text-xs text-slate-400 shrink-0">{new Date(snap.createdAt).toLocaleString()}</span>
+                      <span className="text-xs text-slate-500 shrink-0">{flattenMappings(snap.project.modules).length} items</span>
+                      <div className="ml-auto flex gap-1 shrink-0">
+                        <button type="button" onClick={() => restoreSnapshot(snap)} className="px-2 py-1 border border-slate-300 rounded text-xs text-slate-600 hover:bg-slate-50">Restore</button>
+                        <button type="button" onClick={() => deleteSnapshot(snap)} className="p-1 text-red-500 hover:bg-red-50 rounded" title="Delete snapshot"><Trash2 className="w-4 h-4" /></button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {snapshots.length > 0 && (
+                <div>
+                  <div className="flex items-center gap-2 text-sm mb-2">
+                    <GitCompare className="w-4 h-4 text-slate-500" />
+                    {['a', 'b'].map((side, idx) => (
+                      <React.Fragment key={side}>
+                        {idx === 1 && <ArrowRight className="w-4 h-4 text-slate-400" />}
+                        <select
+                          value={snapshotCompare[side]}
+                          onChange={e => setSnapshotCompare(prev => ({ ...prev, [side]: e.target.value }))}
+                          className="flex-1 px-2 py-1.5 border border-slate-200 rounded text-sm bg-white focus:outline-none focus:border-slate-400"
+                        >
+                          <option value="">— Pick snapshot —</option>
+                          <option value="current">Current state</option>
+                          {snapshots.map(snap => <option key={snap.id} value={snap.id}>{snap.name}</option>)}
+                        </select>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                  {snapshotDiff && (
+                    <div className="border border-slate-200 rounded-lg text-xs">
+                      <div className="px-3 py-2 bg-slate-50 border-b border-slate-200 text-slate-600">
+                        {snapshotDiff.added.length} added · {snapshotDiff.changed.length} changed · {snapshotDiff.deleted.length} deleted
+                        {' · '}input schema: {snapshotDiff.input.length} change{snapshotDiff.input.length !== 1 ? 's' : ''}
+                        {' · '}output schema: {snapshotDiff.output.length} change{snapshotDiff.output.length !== 1 ? 's' : ''}
+                      </div>
+                      <div className="max-h-64 overflow-y-auto divide-y divide-slate-100 font-mono">
+                        {snapshotDiff.added.map(({ moduleName, item }) => (
+                          <div key={`a${item.id}`} className="px-3 py-1 text-emerald-700 truncate">+ {moduleName} › {describeItem(item)}</div>
+                        ))}
+                        {snapshotDiff.changed.map(({ before, after }) => (
+                          <div key={`c${after.item.id}`} className="px-3 py-1 text-amber-700 truncate">
+                            ~ {after.moduleName} › {describeItem(before.item)} → {describeItem(after.item)}
+                          </div>
+                        ))}
+                        {snapshotDiff.deleted.map(({ moduleName, item }) => (
+                          <div key={`d${item.id}`} className="px-3 py-1 text-red-700 truncate">- {moduleName} › {describeItem(item)}</div>
+                        ))}
+                        {[...snapshotDiff.input, ...snapshotDiff.output].map(change => (
+                          <div key={change.kind + change.path} className="px-3 py-1 text-slate-600 truncate">
+                            {change.kind} {change.path}{change.newPath ? ` → ${change.newPath}` : ''}{change.kind === 'retyped' ? ` (${change.oldType} → ${change.newType})` : ''}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── Restore offer for autosaved sessions (the latest, and an earlier one that was worked past) ── */}
+      {(pendingRestore || earlierSession) && (
+        <div className="bg-amber-50 border-b border-amber-200 px-4 py-2.5 flex flex-wrap items-center gap-3 text-sm">
+          <Save className="w-4 h-4 text-amber-600 shrink-0" />
+          <div className="flex flex-col gap-1">
+            {[[pendingRestore, 'Unsaved session'], [earlierSession, 'Earlier unsaved session']].filter(([saved]) => saved).map(([saved, label]) => (
+              <div key={label} className="flex flex-wrap items-center gap-3">
+                <span className="font-semibold text-amber-800">{label} from {new Date(saved.savedAt).toLocaleString()}</span>
+                <span className="text-xs text-amber-700">{sessionSummary(saved)}</span>
+                <button type="button" onClick={() => restoreSession(saved)} className="px-3 py-1 bg-slate-700 text-white rounded-lg text-xs font-medium">
+                  Restore
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="ml-auto flex gap-2">
+            <button type="button" onClick={discardSavedSession} className="px-3 py-1 border border-amber-300 rounded-lg text-xs text-amber-800 hover:bg-amber-100">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
       {step === 1 && (
         <div className="max-w-4xl mx-auto p-6">
-          <h1 className="text-xl font-bold text-slate-800 mb-4">Step 1: Load schemas</h1>
+          <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+            <h1 className="text-xl font-bold text-slate-800">Step 1: Load schemas</h1>
+            <div className="flex items-center gap-2 text-sm">
+              <label className="px-3 py-1.5 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 cursor-pointer flex items-center gap-1.5">
+                <Folder className="w-4 h-4" /> Open project…
+                <input type="file" accept=".json" className="hidden" onChange={e => { if (e.target.files?.[0]) openProject(e.target.files[0]); e.target.value = ''; }} />
+              </label>
+              <button type="button" onClick={saveProject} className="px-3 py-1.5 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 flex items-center gap-1.5">
+                <Save className="w-4 h-4" /> Save project
+              </button>
+              <label className="flex items-center gap-1.5 text-xs text-slate-500 cursor-pointer select-none" title="Bundle this mapping family's golden test cases into the project file">
+                <input type="checkbox" checked={projectIncludeTests} onChange={e => setProjectIncludeTests(e.target.checked)} className="rounded border-slate-300" />
+                with test cases
+              </label>
+            </div>
+          </div>
+
+          {/* ── Opened project file ── */}
+          {projectFile && (
+            <div className={`mb-6 border rounded-xl px-4 py-3 flex flex-wrap items-center gap-3 text-sm ${projectFile.error ? 'border-red-200 bg-red-50' : 'border-slate-200'}`}>
+              <Folder className="w-4 h-4 text-slate-500" />
+              <span className="font-semibold text-slate-700">{projectFile.fileName}</span>
+              {projectFile.error ? (
+                <span className="text-red-600">{projectFile.error}</span>
+              ) : (
+                <>
+                  <span className="text-xs text-slate-500">
+                    {modules.length} module{modules.length !== 1 ? 's' : ''} · {projectFile.testCases.length} test case{projectFile.testCases.length !== 1 ? 's' : ''}
+                  </span>
+                  {projectFile.testCases.length > 0 && projectFile.imported == null && (
+                    <button type="button" onClick={importProjectTestCases} className="px-3 py-1 border border-slate-300 rounded-lg text-xs text-slate-600 hover:bg-slate-50">
+                      Import test cases into golden dataset
+                    </button>
+                  )}
+                  {projectFile.imported != null && (
+                    <span className={`text-xs ${projectFile.failed.length ? 'text-red-600' : 'text-emerald-600'}`} title={projectFile.failed.join('\n')}>
+                      {projectFile.imported} imported{projectFile.failed.length ? `, ${projectFile.failed.length} failed` : ''}
+                    </span>
+                  )}
+                </>
+              )}
+              <button type="button" onClick={() => setProjectFile(null)} className="ml-auto p-1 text-slate-400 hover:text-slate-600" title="Close">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
             <label className="border-2 border-dashed border-slate-300 rounded-xl p-6 text-center cursor-pointer hover:border-slate-400 hover:bg-slate-50">
               <Upload className="w-8 h-8 mx-auto mb-2 text-slate-400" />
@@ -3387,7 +5596,12 @@ const GrizzlyMappingTool = () => {
                   <><span className="font-medium text-slate-700 truncate block" title={inputFileName}>{inputFileName}</span><span className="text-slate-500">{inputPaths.length} field{inputPaths.length !== 1 ? 's' : ''}</span></>
                 ) : 'No file chosen'}
               </span>
-              <input type="file" accept=".json" className="hidden" onChange={e => e.target.files?.[0] && handleFile('input', e.target.files[0])} />
+              {schemaFileError.input && (
+                <span className="block mt-2 text-xs text-red-600 break-words" title={schemaFileError.input.fileName}>
+                  {schemaFileError.input.fileName} not loaded: {schemaFileError.input.message}
+                </span>
+              )}
+              <input type="file" accept=".json,.ndjson,.jsonl,.xsd,.yaml,.yml,.csv,.tsv" multiple className="hidden" onChange={e => handleSchemaFiles('input', e.target.files)} />
             </label>
             <label className="border-2 border-dashed border-slate-300 rounded-xl p-6 text-center cursor-pointer hover:border-slate-400 hover:bg-slate-50">
               <Upload className="w-8 h-8 mx-auto mb-2 text-slate-400" />
@@ -3397,7 +5611,12 @@ const GrizzlyMappingTool = () => {
                   <><span className="font-medium text-slate-700 truncate block" title={outputFileName}>{outputFileName}</span><span className="text-slate-500">{outputPaths.length} field{outputPaths.length !== 1 ? 's' : ''}</span></>
                 ) : 'No file chosen'}
               </span>
-              <input type="file" accept=".json" className="hidden" onChange={e => e.target.files?.[0] && handleFile('output', e.target.files[0])} />
+              {schemaFileError.output && (
+                <span className="block mt-2 text-xs text-red-600 break-words" title={schemaFileError.output.fileName}>
+                  {schemaFileError.output.fileName} not loaded: {schemaFileError.output.message}
+                </span>
+              )}
+              <input type="file" accept=".json,.ndjson,.jsonl,.xsd,.yaml,.yml,.csv,.tsv" multiple className="hidden" onChange={e => handleSchemaFiles('output', e.target.files)} />
             </label>
             <label className="border-2 border-dashed border-slate-300 rounded-xl p-6 text-center cursor-pointer hover:border-slate-400 hover:bg-slate-50">
               <FileCode className="w-8 h-8 mx-auto mb-2 text-slate-400" />
@@ -3407,9 +5626,166 @@ const GrizzlyMappingTool = () => {
                   <><span className="font-medium text-slate-700 truncate block" title={templateFileName}>{templateFileName}</span><span className="text-slate-500">{modules.length} module{modules.length !== 1 ? 's' : ''}</span></>
                 ) : 'No file chosen'}
               </span>
+              {templateFileName && templateDiagnostics.length > 0 && (
+                <span className="inline-flex items-center gap-1 mt-2 px-2 py-0.5 rounded-full bg-amber-50 border border-amber-200 text-xs text-amber-700">
+                  <AlertTriangle className="w-3 h-3" /> {templateDiagnostics.length} line{templateDiagnostics.length !== 1 ? 's' : ''} not imported
+                </span>
+              )}
               <input type="file" accept=".py" className="hidden" onChange={e => e.target.files?.[0] && handleFile('template', e.target.files[0])} />
             </label>
           </div>
+
+          {/* ── Schema version diff: what a new input / output version breaks in the mappings ── */}
+          <div className="mb-6 flex flex-wrap items-center gap-2 text-sm">
+            <GitCompare className="w-4 h-4 text-slate-500" />
+            <span className="text-slate-600">Compare a new version of the</span>
+            {['input', 'output'].map(side => (
+              <label key={side} className="px-3 py-1 border border-slate-300 rounded-lg text-xs text-slate-600 hover:bg-slate-50 cursor-pointer">
+                {side} schema…
+                <input type="file" accept=".json,.ndjson,.jsonl,.xsd,.yaml,.yml,.csv,.tsv" className="hidden" onChange={e => { if (e.target.files?.[0]) loadSchemaVersion(side, e.target.files[0]); e.target.value = ''; }} />
+              </label>
+            ))}
+          </div>
+          {schemaDiff && (
+            <div className="mb-6 border border-slate-200 rounded-xl overflow-hidden">
+              <div className="flex items-center gap-2 px-4 py-2 bg-slate-50 border-b border-slate-200">
+                <GitCompare className="w-4 h-4 text-slate-500" />
+                <span className="text-sm font-semibold text-slate-700">
+                  {schemaDiff.type === 'input' ? 'Input' : 'Output'}: {(schemaDiff.type === 'input' ? inputFileName : outputFileName) || 'current schema'} → {schemaDiff.fileName}
+                </span>
+                {schemaDiff.changes && (
+                  <span className="text-xs text-slate-500">
+                    {schemaDiff.changes.length} change{schemaDiff.changes.length !== 1 ? 's' : ''} · {new Set([...schemaDiffImpact.values()].flat().map(h => h.item.id)).size} mapping item(s) affected
+                  </span>
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                  {schemaDiff.changes && (
+                    <button type="button" onClick={adoptSchemaVersion} className="px-3 py-1 bg-slate-700 text-white rounded-lg text-xs font-medium">
+                      Use new version
+                    </button>
+                  )}
+                  <button type="button" onClick={() => setSchemaDiff(null)} className="p-1 text-slate-400 hover:text-slate-600" title="Close">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              {schemaDiff.error ? (
+                <div className="px-4 py-3 text-sm text-red-600">{schemaDiff.error}</div>
+              ) : schemaDiff.changes.length === 0 ? (
+                <div className="px-4 py-3 text-sm text-slate-500">No structural changes</div>
+              ) : (
+                <div className="max-h-80 overflow-y-auto divide-y divide-slate-100 bg-white">
+                  {schemaDiff.changes.map(change => {
+                    const hits = schemaDiffImpact.get(change) || [];
+                    const badge = {
+                      added: 'bg-emerald-50 border-emerald-200 text-emerald-700',
+                      removed: 'bg-red-50 border-red-200 text-red-700',
+                      retyped: 'bg-amber-50 border-amber-200 text-amber-700',
+                      moved: 'bg-blue-50 border-blue-200 text-blue-700',
+                    }[change.kind];
+                    return (
+                      <div key={change.kind + change.path} className="px-4 py-1.5 text-xs">
+                        <div className="flex items-center gap-3">
+                          <span className={`w-16 shrink-0 text-center px-1.5 py-0.5 rounded border ${badge}`}>{change.kind}</span>
+                          <code className="font-mono text-slate-800 truncate" title={change.path}>{change.path}</code>
+                          {change.newPath && <><ArrowRight className="w-3 h-3 text-slate-400 shrink-0" /><code className="font-mono text-slate-800 truncate" title={change.newPath}>{change.newPath}</code></>}
+                          <span className="ml-auto font-mono text-slate-500 shrink-0">
+                            {change.kind === 'retyped' ? `${change.oldType} → ${change.newType}` : (change.newType || change.oldType)}
+                          </span>
+                        </div>
+                        {hits.map(({ moduleName, item }) => (
+                          <div key={item.id} className="flex items-center gap-2 ml-[4.75rem] mt-0.5 text-amber-700">
+                            <AlertTriangle className="w-3 h-3 shrink-0" />
+                            <span className="font-mono truncate" title={describeItem(item)}>{moduleName} › {describeItem(item)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* ── Flat-file input: CSV rows / fixed-width layout ── */}
+          {activeFlatInput && (
+            <div className="mb-6 border border-slate-200 rounded-xl px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
+              <Database className="w-4 h-4 text-slate-500" />
+              {activeFlatInput.layout ? (
+                <>
+                  <span className="font-semibold text-slate-700">Fixed-width layout</span>
+                  <span className="text-xs text-slate-500">{activeFlatInput.layout.length} field{activeFlatInput.layout.length !== 1 ? 's' : ''}</span>
+                  <label className="px-3 py-1 border border-slate-300 rounded-lg text-xs text-slate-600 hover:bg-slate-50 cursor-pointer">
+                    {activeFlatInput.dataFileName ? `Data: ${activeFlatInput.dataFileName}` : 'Load data file…'}
+                    <input type="file" className="hidden" onChange={e => e.target.files?.[0] && loadFixedWidthData(e.target.files[0])} />
+                  </label>
+                </>
+              ) : (
+                <span className="font-semibold text-slate-700">CSV</span>
+              )}
+              <span className="text-xs text-slate-500 ml-auto">
+                {activeFlatInput.rows.length
+                  ? `${activeFlatInput.rows.length} row${activeFlatInput.rows.length !== 1 ? 's' : ''} available as preview INPUT in Step 4`
+                  : 'No data rows yet'}
+              </span>
+            </div>
+          )}
+
+          {/* ── OpenAPI: pick the input / output schema from the uploaded spec ── */}
+          {openApiSpec && (
+            <div className="mb-6 border border-slate-200 rounded-xl overflow-hidden">
+              <div className="flex items-center gap-2 px-4 py-2 bg-slate-50 border-b border-slate-200">
+                <BookOpen className="w-4 h-4 text-slate-500" />
+                <span className="text-sm font-semibold text-slate-700">OpenAPI: {openApiSpec.fileName}</span>
+                <span className="text-xs text-slate-500">{openApiSpec.entries.length} schema{openApiSpec.entries.length !== 1 ? 's' : ''}</span>
+                <button type="button" onClick={() => setOpenApiSpec(null)} className="ml-auto p-1 text-slate-400 hover:text-slate-600" title="Close">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4">
+                {['input', 'output'].map(side => (
+                  <label key={side} className="block">
+                    <span className="block text-xs font-medium text-slate-600 mb-1">{side === 'input' ? 'Input schema' : 'Output schema'}</span>
+                    <select
+                      value={openApiPick[side]}
+                      onChange={e => pickOpenApiSchema(side, e.target.value)}
+                      className="w-full px-3 py-2 border border-slate-200 rounded text-sm bg-white focus:outline-none focus:border-slate-400"
+                    >
+                      <option value="">— Keep current {side} schema —</option>
+                      {[...new Set(openApiSpec.entries.map(e => e.group))].map(group => (
+                        <optgroup key={group} label={group}>
+                          {openApiSpec.entries.filter(e => e.group === group).map(e => (
+                            <option key={e.id} value={e.id}>{e.label}</option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* ── Parser diagnostics: template lines that did not become mapping items ── */}
+          {templateFileName && templateDiagnostics.length > 0 && (
+            <div className="mb-6 border border-amber-200 rounded-xl overflow-hidden">
+              <div className="flex items-center gap-2 px-4 py-2.5 bg-amber-50 border-b border-amber-200">
+                <AlertTriangle className="w-4 h-4 text-amber-600" />
+                <span className="text-sm font-semibold text-amber-800">Not imported from {templateFileName}</span>
+                <span className="text-xs text-amber-600 ml-auto">These lines will be missing from the generated template</span>
+              </div>
+              <div className="max-h-64 overflow-y-auto divide-y divide-amber-100 bg-white">
+                {templateDiagnostics.map((d, idx) => (
+                  <div key={idx} className="flex items-start gap-3 px-4 py-1.5 text-xs">
+                    <span className="font-mono text-slate-400 w-12 shrink-0 text-right">{d.line ? `L${d.line}` : '—'}</span>
+                    <span className="font-mono text-slate-500 w-32 shrink-0 truncate" title={d.fn || 'module level'}>{d.fn ? `${d.fn}()` : 'module level'}</span>
+                    <code className="flex-1 min-w-0 font-mono text-slate-800 truncate" title={d.text}>{d.text}</code>
+                    <span className="text-amber-700 shrink-0">{d.reason}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="flex justify-end">
             <button onClick={goToStep2} className="px-6 py-2 bg-slate-700 text-white rounded-lg font-medium flex items-center gap-2">
               Next <ArrowRight className="w-4 h-4" />
@@ -3449,7 +5825,10 @@ const GrizzlyMappingTool = () => {
       </div>
 
       {/* Center - Mapping canvas (module strip + same real estate) */}
-      <div className="flex-1 overflow-y-auto p-6 min-w-0">
+      <div
+        className="flex-1 overflow-y-auto p-6 min-w-0"
+        onBlurCapture={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setEditingItemId(null); }}
+      >
         <div className="max-w-5xl mx-auto">
           <div className="bg-white rounded-xl shadow-lg p-6">
             {/* Module strip: ƒ [fn…] [+ ƒ]  ·  [mod…] [main] [+ Module] */}
@@ -3510,6 +5889,49 @@ const GrizzlyMappingTool = () => {
                 : <h1 className="text-xl font-bold text-gray-900">Mapping Builder</h1>
               }
               <div className="flex items-center gap-2">
+                <div className="relative flex items-center border border-slate-300 rounded-lg divide-x divide-slate-300">
+                  <button type="button" onClick={() => moveHistory(-1)} disabled={!history.past.length}
+                    title={history.past.length ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                    className="p-2 text-slate-600 hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed">
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => moveHistory(1)} disabled={!history.future.length}
+                    title={history.future.length ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                    className="p-2 text-slate-600 hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed">
+                    <Redo2 className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => setShowHistory(v => !v)} title="Edit history"
+                    className={`p-2 hover:bg-slate-50 ${showHistory ? 'text-slate-800' : 'text-slate-600'}`}>
+                    <History className="w-4 h-4" />
+                  </button>
+                  {showHistory && (
+                    <div className="absolute right-0 top-full mt-1 w-80 max-h-80 overflow-y-auto bg-white border border-slate-200 rounded-lg shadow-lg z-20 text-xs">
+                      {[...history.future].reverse().map((entry, idx) => (
+                        <button key={`f${idx}`} type="button" onClick={() => moveHistory(history.future.length - idx)}
+                          className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-slate-400 italic hover:bg-slate-50">
+                          <Redo2 className="w-3 h-3 shrink-0" />
+                          <span className="flex-1 truncate">{entry.label}</span>
+                        </button>
+                      ))}
+                      <div className="px-3 py-1.5 bg-slate-100 font-semibold text-slate-600">Current state</div>
+                      {[...history.past].reverse().map((entry, idx) => (
+                        <button key={`p${idx}`} type="button" onClick={() => moveHistory(-(idx + 1))}
+                          title="Undo back to before this edit"
+                          className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-slate-700 hover:bg-slate-50">
+                          <span className="flex-1 truncate font-mono">{entry.label}</span>
+                          <span className="text-slate-400 shrink-0">{new Date(entry.at).toLocaleTimeString()}</span>
+                        </button>
+                      ))}
+                      {!history.past.length && !history.future.length && (
+                        <div className="px-3 py-2 text-slate-400">No edits yet</div>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <button type="button" onClick={() => setShowSnapshots(true)} title="Named snapshots"
+                  className="px-3 py-2 border border-slate-300 rounded-lg flex items-center gap-2 text-sm text-slate-600 hover:bg-slate-50">
+                  <Camera className="w-4 h-4" /> Snapshots
+                </button>
                 {showFnSheet && (
                   <button onClick={() => { setShowFnSheet(false); setRegFnForm(null); }}
                     className="px-4 py-2 border border-slate-300 rounded-lg flex items-center gap-2 text-sm text-slate-600 hover:bg-slate-50">
@@ -3738,6 +6160,14 @@ const GrizzlyMappingTool = () => {
                 <span className="font-mono font-bold text-sm leading-none">[…]</span> Map Array
               </button>
 
+              {/* ── Raw Code (verbatim Python / comments) ── */}
+              <button
+                onClick={() => addItem(null, 'raw')}
+                className="px-4 py-2 bg-slate-50 border-2 border-dashed border-slate-300 text-slate-600 rounded-lg hover:bg-slate-100 flex items-center gap-2 text-sm"
+              >
+                <FileCode className="w-4 h-4" /> Raw Code
+              </button>
+
             </div>
             </>)}
           </div>
@@ -3767,6 +6197,56 @@ const GrizzlyMappingTool = () => {
         </div>
       </div>
 
+      {/* Far right - Live preview (collapsible) */}
+      {showLivePreview ? (
+        <div className="w-96 bg-white border-l border-gray-200 flex flex-col shrink-0">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center gap-2">
+            <Eye className="w-4 h-4 text-slate-500" />
+            <h2 className="text-sm font-bold text-gray-900">Live preview</h2>
+            {touchedOutputPaths.length > 0 && (
+              <span className="text-xs px-1.5 rounded bg-amber-100 text-amber-800" title={touchedOutputPaths.join('\n')}>
+                {touchedOutputPaths.length} field{touchedOutputPaths.length === 1 ? '' : 's'} from focused item
+              </span>
+            )}
+            <button onClick={() => setShowLivePreview(false)} className="ml-auto p-1 text-gray-400 hover:text-gray-600" title="Hide preview">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="p-3 border-b border-gray-200 shrink-0">
+            <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-1.5">Sample input (JSON)</p>
+            <textarea
+              value={previewInput}
+              onChange={e => { setPreviewInput(e.target.value); setPreviewRanOk(false); }}
+              placeholder="Paste JSON or type sample input here..."
+              spellCheck={false}
+              rows={8}
+              className="w-full p-2 text-xs font-mono border border-slate-200 rounded-lg bg-slate-50 focus:outline-none focus:border-slate-400 resize-y placeholder:text-slate-500"
+            />
+          </div>
+          <div className="flex-1 overflow-y-auto p-3">
+            <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-1.5">Output</p>
+            {browserPreview?.error ? (
+              <div className="p-2 rounded-lg border border-red-200 bg-red-50 font-mono text-xs text-red-700">{browserPreview.error}</div>
+            ) : browserPreview ? (
+              browserPreview.value !== null && typeof browserPreview.value === 'object' && !Array.isArray(browserPreview.value)
+                ? Object.entries(browserPreview.value).map(([k, v]) => renderPreviewValue(v, `output.${k}`, k))
+                : renderPreviewValue(browserPreview.value, 'output', 'OUTPUT')
+            ) : (
+              <p className="text-xs text-slate-500">Add sample input to see the output update as you map. Focus a mapping item to highlight the fields it writes.</p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setShowLivePreview(true)}
+          title="Show live preview"
+          className="w-10 bg-white border-l border-gray-200 flex flex-col items-center gap-2 py-4 text-slate-500 hover:bg-slate-50 hover:text-slate-700 shrink-0"
+        >
+          <Eye className="w-4 h-4" />
+          <span className="text-xs font-medium [writing-mode:vertical-rl]">Live preview</span>
+        </button>
+      )}
+
       {/* Autocomplete Dropdown */}
       {autocompleteState.show && (
         <div
@@ -3784,8 +6264,20 @@ const GrizzlyMappingTool = () => {
               onClick={() => handleAutocompleteSelect(suggestion.path)}
               className="px-4 py-2 hover:bg-slate-50 cursor-pointer flex items-center justify-between"
             >
-              <span className="text-sm font-mono">{suggestion.path}</span>
-              <span className="text-xs text-gray-500">{suggestion.type}</span>
+              <span className="text-sm font-mono">
+                {suggestion.path}
+                {suggestion.required && <span className="text-red-500 font-bold ml-0.5" title="required">*</span>}
+                {suggestion.attribute && <span className="ml-1 text-xs text-orange-600" title="XML attribute">@attr</span>}
+              </span>
+              <span className="text-xs text-gray-500 ml-3 text-right" title={suggestion.enum ? `enum: ${suggestion.enum.map(v => JSON.stringify(v)).join(', ')}` : undefined}>
+                {SCHEMA_TYPE_CONFIG[suggestion.typeKey]
+                  ? <span className={`px-1.5 rounded text-[10px] font-mono ${SCHEMA_TYPE_CONFIG[suggestion.typeKey].className}`}>{SCHEMA_TYPE_CONFIG[suggestion.typeKey].label}</span>
+                  : suggestion.type}
+                {suggestion.nullable ? '?' : ''}
+                {suggestion.optional && <span className="ml-1 text-gray-400">opt</span>}
+                {suggestion.format && suggestion.typeKey === suggestion.type && <span className="ml-1 text-sky-600 font-mono">{suggestion.format}</span>}
+                {suggestion.enum && <span className="ml-1 text-amber-600 font-mono">enum({suggestion.enum.length})</span>}
+              </span>
             </div>
           ))}
         </div>
@@ -3805,9 +6297,21 @@ const GrizzlyMappingTool = () => {
               <button onClick={() => { setStep(3); loadGdCases(); }} className="px-4 py-2 border border-slate-300 rounded-lg flex items-center gap-2 text-sm text-slate-600 hover:bg-slate-50">
                 <ArrowLeft className="w-4 h-4" /> Back to code
               </button>
+              <select
+                value={publishTarget}
+                onChange={e => { setPublishTarget(e.target.value); setGdSaveStatus(null); }}
+                title={activePublishTarget?.file || 'Publish targets come from grizzly.config.json'}
+                className="px-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-700 bg-white focus:outline-none focus:border-slate-400"
+              >
+                {publishTargets === null && <option value="">Loading targets…</option>}
+                {publishTargets?.length === 0 && <option value="">No publish targets configured</option>}
+                {(publishTargets || []).map(t => (
+                  <option key={t.id} value={t.id} disabled={!t.file} title={t.error || t.file}>{t.label}{t.file ? ` — ${t.file}` : ' — not allowed'}</option>
+                ))}
+              </select>
               <button
                 onClick={handlePublish}
-                disabled={gdSaving}
+                disabled={gdSaving || !activePublishTarget?.file}
                 title="Runs all golden dataset tests, then publishes only if all pass"
                 className="px-4 py-2 bg-slate-700 text-white rounded-lg flex items-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-slate-800"
               >
@@ -3823,24 +6327,61 @@ const GrizzlyMappingTool = () => {
               <div className="flex items-center gap-2">
                 <FlaskConical className="w-4 h-4 text-slate-500" />
                 <span className="font-semibold text-slate-700 text-sm">Preview transform</span>
-                <span className="text-xs text-slate-400 ml-1">— calls <code className="bg-slate-100 px-1 rounded text-xs">POST /api/grizzly/preview</code></span>
+                {previewEngine === 'browser' ? (
+                  <span className="text-xs text-slate-400 ml-1">— runs in your browser as you edit</span>
+                ) : (
+                  <span className="text-xs text-slate-400 ml-1">— calls <code className="bg-slate-100 px-1 rounded text-xs">POST /api/grizzly/preview</code></span>
+                )}
               </div>
               <div className="flex items-center gap-2">
-                {previewRanOk && !previewError && (
+                {shownPreviewOk && !shownPreviewError && (
                   <span className="text-xs px-2 py-0.5 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200 flex items-center gap-1">
                     <CheckCircle2 className="w-3 h-3" /> Preview OK
                   </span>
                 )}
-                {previewError && (
+                {shownPreviewError && (
                   <span className="text-xs px-2 py-0.5 rounded-full bg-red-50 text-red-600 border border-red-200">Error</span>
                 )}
+                <div className="flex rounded-lg border border-slate-200 overflow-hidden text-xs" title="Where the template runs">
+                  {[['browser', 'Browser'], ['engine', 'Engine']].map(([id, label]) => (
+                    <button
+                      key={id}
+                      onClick={() => setPreviewEngine(id)}
+                      className={`px-2 py-0.5 ${previewEngine === id ? 'bg-slate-700 text-white' : 'bg-white text-slate-600 hover:bg-slate-100'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {previewEngine === 'browser' && (
+                  <button
+                    onClick={() => { setPreviewTrace(t => !t); setTraceStep(-1); }}
+                    title="Record which mapping item, expression, branch and variables produced each output field"
+                    className={`px-2 py-0.5 rounded-lg border text-xs ${previewTrace ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-100'}`}
+                  >
+                    Trace
+                  </button>
+                )}
               </div>
             </div>
 
             <div className="grid grid-cols-2 divide-x divide-slate-200 min-h-[24rem]">
               {/* Input pane */}
               <div className="p-4 flex flex-col min-h-0">
-                <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2 shrink-0">Sample input (JSON)</p>
+                <div className="flex items-center justify-between mb-2 shrink-0">
+                  <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Sample input (JSON)</p>
+                  {activeFlatInput?.rows.length > 0 && (
+                    <select
+                      key={activeFlatInput.dataFileName || activeFlatInput.fileName}
+                      defaultValue="0"
+                      onChange={e => { setPreviewInput(JSON.stringify(activeFlatInput.rows[Number(e.target.value)], null, 2)); setPreviewRanOk(false); }}
+                      className="px-2 py-0.5 border border-slate-200 rounded text-xs bg-white focus:outline-none focus:border-slate-400"
+                      title={`Rows from ${activeFlatInput.dataFileName || activeFlatInput.fileName}`}
+                    >
+                      {activeFlatInput.rows.map((_, i) => <option key={i} value={i}>Row {i + 1}</option>)}
+                    </select>
+                  )}
+                </div>
                 <textarea
                   value={previewInput}
                   onChange={e => { setPreviewInput(e.target.value); setPreviewRanOk(false); }}
@@ -3853,42 +6394,160 @@ const GrizzlyMappingTool = () => {
               <div className="p-4 flex flex-col min-h-0">
                 <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2 shrink-0">Transformed output</p>
                 <div className={`flex-1 min-h-0 rounded-lg overflow-auto border flex flex-col
-                  ${previewError ? 'border-red-200 bg-red-50'
-                    : previewOutput ? 'border-emerald-200 bg-emerald-50'
+                  ${shownPreviewError ? 'border-red-200 bg-red-50'
+                    : shownPreviewOutput ? 'border-emerald-200 bg-emerald-50'
                     : 'border-slate-200 bg-slate-50'}`}>
-                  {previewRunning ? (
+                  {previewRunning && previewEngine === 'engine' ? (
                     <div className="p-3 text-slate-400 italic">Running...</div>
-                  ) : previewError ? (
-                    <div className="p-3 font-mono text-xs text-red-700">{previewError}</div>
-                  ) : previewOutput ? (
-                    <pre className="flex-1 min-h-0 p-3 text-xs font-mono overflow-auto whitespace-pre-wrap">{previewOutput}</pre>
+                  ) : shownPreviewError ? (
+                    <div className="p-3 font-mono text-xs text-red-700">
+                      {shownPreviewError}
+                      {previewEngine === 'browser' && browserPreview?.unsupported && (
+                        <button
+                          onClick={() => { setPreviewEngine('engine'); runPreview(); }}
+                          className="mt-2 flex items-center gap-1 px-2 py-1 rounded border border-red-200 bg-white font-sans text-red-700 hover:bg-red-100"
+                        >
+                          <Play className="w-3 h-3" /> Run on the engine
+                        </button>
+                      )}
+                    </div>
+                  ) : shownPreviewOutput ? (
+                    <pre className="flex-1 min-h-0 p-3 text-xs font-mono overflow-auto whitespace-pre-wrap">{shownPreviewOutput}</pre>
                   ) : (
-                    <div className="p-3 text-slate-500 font-mono text-xs select-none opacity-90">Run preview to see output here...</div>
+                    <div className="p-3 text-slate-500 font-mono text-xs select-none opacity-90">
+                      {previewEngine === 'browser' ? 'Add sample input to see output here...' : 'Run preview to see output here...'}
+                    </div>
                   )}
                 </div>
               </div>
             </div>
 
+            {/* Execution trace (browser runner): one entry per OUTPUT field write, in run order */}
+            {previewEngine === 'browser' && previewTrace && browserPreview?.trace && (
+              <div className="border-t border-slate-200">
+                <div className="flex items-center gap-2 px-4 py-2 bg-slate-50 border-b border-slate-200">
+                  <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Execution trace</span>
+                  <span className="text-xs text-slate-400">
+                    {browserPreview.trace.length} field write{browserPreview.trace.length === 1 ? '' : 's'} in run order — open one to see how it was produced
+                  </span>
+                  {browserPreview.trace.length > 0 && (
+                    <div className="ml-auto flex items-center gap-1 text-xs text-slate-500">
+                      <button
+                        onClick={() => setTraceStep(i => Math.max(0, i - 1))}
+                        disabled={traceStep <= 0}
+                        title="Previous write"
+                        className="p-1 rounded hover:bg-slate-200 disabled:opacity-40"
+                      >
+                        <ArrowLeft className="w-3.5 h-3.5" />
+                      </button>
+                      <span className="font-mono w-16 text-center">{traceStep >= 0 ? traceStep + 1 : '–'} / {browserPreview.trace.length}</span>
+                      <button
+                        onClick={() => setTraceStep(i => Math.min(browserPreview.trace.length - 1, i + 1))}
+                        disabled={traceStep >= browserPreview.trace.length - 1}
+                        title="Next write"
+                        className="p-1 rounded hover:bg-slate-200 disabled:opacity-40"
+                      >
+                        <ArrowRight className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="max-h-80 overflow-y-auto divide-y divide-slate-100">
+                  {browserPreview.trace.map((entry, i) => {
+                    const owner = traceOwnerAt(entry.line, entry.path);
+                    const open = traceStep === i;
+                    return (
+                      <div key={i} className={open ? 'bg-amber-50' : undefined}>
+                        <div className="flex items-center gap-2 px-4 py-1.5 text-xs">
+                          <button type="button" onClick={() => setTraceStep(open ? -1 : i)} className="flex-1 min-w-0 flex items-baseline gap-2 text-left font-mono hover:text-slate-900">
+                            <span className="text-slate-400 w-8 shrink-0">#{i + 1}</span>
+                            <span className="text-slate-700 shrink-0">{entry.path}</span>
+                            <span className="text-slate-400">=</span>
+                            <span className="text-emerald-700 truncate">{JSON.stringify(entry.value)}</span>
+                          </button>
+                          {owner ? (
+                            <button
+                              type="button"
+                              onClick={() => jumpToItem(owner.item.id)}
+                              title="Open in mapping"
+                              className="px-2 py-0.5 max-w-xs truncate rounded border border-slate-200 bg-white font-mono text-slate-600 hover:border-slate-400 hover:text-slate-800 shrink-0"
+                            >
+                              {owner.moduleName} › {describeItem(owner.item)}
+                            </button>
+                          ) : (
+                            <span className="text-slate-400 shrink-0">no mapping item</span>
+                          )}
+                        </div>
+                        {open && (
+                          <div className="px-4 pb-3 pl-14 space-y-1.5 text-xs">
+                            <div className="flex gap-2">
+                              <span className="text-slate-400 w-20 shrink-0">Line {entry.line}</span>
+                              <code className="font-mono text-slate-700 break-all">{entry.expression}</code>
+                            </div>
+                            {entry.branches.map((b, bi) => {
+                              const branchOwner = traceOwnerAt(b.line);
+                              return (
+                                <div key={bi} className="flex items-baseline gap-2">
+                                  <span className="text-slate-400 w-20 shrink-0">Branch</span>
+                                  <code className="font-mono text-slate-700">{b.source}</code>
+                                  <span className="text-amber-700">{b.label} taken (line {b.line})</span>
+                                  {branchOwner && (
+                                    <button type="button" onClick={() => jumpToItem(branchOwner.item.id)} className="text-slate-500 underline hover:text-slate-800">open</button>
+                                  )}
+                                </div>
+                              );
+                            })}
+                            {entry.ternaries.length > 0 && (
+                              <div className="flex gap-2">
+                                <span className="text-slate-400 w-20 shrink-0">Conditional</span>
+                                <span className="text-slate-700">
+                                  {entry.ternaries.map(t => `line ${t.line}: ${t.taken === 'if' ? 'if value' : 'else value'}${t.count > 1 ? ` ×${t.count}` : ''}`).join(', ')}
+                                </span>
+                              </div>
+                            )}
+                            {Object.keys(entry.vars).length > 0 && (
+                              <div className="flex gap-2">
+                                <span className="text-slate-400 w-20 shrink-0">Variables</span>
+                                <span className="font-mono text-slate-700 break-all">
+                                  {Object.entries(entry.vars).map(([name, v]) => `${name} = ${v}`).join('   ')}
+                                </span>
+                              </div>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             {/* Footer */}
             <div className="flex items-center justify-between px-4 py-3 border-t border-slate-200 bg-slate-50">
               <div className="flex items-center gap-3">
-                <button
-                  onClick={runPreview}
-                  disabled={previewRunning}
-                  className="px-4 py-2 bg-slate-700 text-white rounded-lg flex items-center gap-2 text-sm disabled:opacity-50"
-                >
-                  <Play className="w-4 h-4" />
-                  {previewRunning ? 'Running...' : 'Run preview'}
-                </button>
-                <span className="text-xs text-slate-400">Preview never saves — safe to experiment.</span>
+                {previewEngine === 'engine' && (
+                  <button
+                    onClick={runPreview}
+                    disabled={previewRunning}
+                    className="px-4 py-2 bg-slate-700 text-white rounded-lg flex items-center gap-2 text-sm disabled:opacity-50"
+                  >
+                    <Play className="w-4 h-4" />
+                    {previewRunning ? 'Running...' : 'Run preview'}
+                  </button>
+                )}
+                <span className="text-xs text-slate-400">
+                  {previewEngine === 'browser'
+                    ? 'Updates as you edit. The browser runner covers the template subset the mapper generates and prints 3.0 as 3 — check the engine before publishing.'
+                    : 'Preview never saves — safe to experiment.'}
+                </span>
               </div>
               {(gdSaveStatus === 'saved' || gdSaveStatus === 'blocked') && (
                 <div className="flex items-center gap-3">
                   {gdSaveStatus === 'saved' && (
-                    <span className="text-xs text-emerald-600 flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> Saved</span>
+                    <span className="text-xs text-emerald-600 flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> Saved to {activePublishTarget?.label}</span>
                   )}
                   {gdSaveStatus === 'blocked' && (
-                    <span className="text-xs text-red-600">Regression failed — not saved</span>
+                    <span className="text-xs text-red-600">{gdSaveError ? `Not saved — ${gdSaveError}` : 'Regression failed — not saved'}</span>
                   )}
                 </div>
               )}
@@ -4219,6 +6878,20 @@ const GrizzlyMappingTool = () => {
           <div className="flex items-center justify-between mb-4 flex-wrap gap-2">
             <h1 className="text-xl font-bold text-slate-800">Generated template</h1>
             <div className="flex items-center gap-3">
+              {templateSource != null && (
+                <div className="flex gap-1 bg-slate-100 rounded-lg p-1" title={`Compare with ${templateFileName}`}>
+                  {[['generated', 'Generated'], ['unified', 'Diff'], ['split', 'Side by side']].map(([view, label]) => (
+                    <button
+                      key={view}
+                      type="button"
+                      onClick={() => setCodeView(view)}
+                      className={`px-3 py-1 rounded text-xs font-medium ${codeView === view ? 'bg-white text-slate-800 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
               <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer select-none">
                 <input type="checkbox" checked={codeWrap} onChange={e => setCodeWrap(e.target.checked)} className="rounded border-slate-300" />
                 Word wrap
@@ -4233,9 +6906,98 @@ const GrizzlyMappingTool = () => {
               </div>
             </div>
           </div>
-          <div className="bg-white">
-            <PrismCode code={generateCode()} language="python" wrap={codeWrap} />
+          {/* ── Changes since load: item-level diff against the modules Step 2 started from ── */}
+          <div className="mb-4 border border-slate-200 rounded-xl overflow-hidden bg-white">
+            <div className="flex items-center gap-2 px-4 py-2 bg-slate-50 border-b border-slate-200">
+              <Layers className="w-4 h-4 text-slate-500" />
+              <span className="text-sm font-semibold text-slate-700">Changes since load</span>
+              <span className="text-xs text-slate-500">
+                {mappingChanges.added.length} added · {mappingChanges.changed.length} changed · {mappingChanges.deleted.length} deleted
+              </span>
+            </div>
+            {mappingChangeCount === 0 ? (
+              <div className="px-4 py-2 text-xs text-slate-500">No mapping changes</div>
+            ) : (
+              <div className="max-h-64 overflow-y-auto divide-y divide-slate-100">
+                {mappingChangesByModule.map(([moduleName, entries]) => (
+                  <div key={moduleName} className="px-4 py-2">
+                    <p className="text-xs font-semibold text-slate-500 mb-1">{moduleName}{modules.some(m => m.name === moduleName) ? '' : ' (module removed)'}</p>
+                    {entries.map(e => (
+                      <div key={(e.after || e.before).id} className="flex items-center gap-2 text-xs font-mono py-0.5">
+                        <span className={`w-16 shrink-0 text-center font-sans px-1.5 py-0.5 rounded border ${
+                          e.kind === 'added' ? 'bg-emerald-50 border-emerald-200 text-emerald-700'
+                            : e.kind === 'deleted' ? 'bg-red-50 border-red-200 text-red-700'
+                            : 'bg-amber-50 border-amber-200 text-amber-700'}`}>{e.kind}</span>
+                        {e.before && <span className={`truncate ${e.kind === 'deleted' ? 'text-slate-500 line-through' : 'text-slate-500'}`} title={describeItem(e.before)}>{describeItem(e.before)}</span>}
+                        {e.kind === 'changed' && <ArrowRight className="w-3 h-3 text-slate-400 shrink-0" />}
+                        {e.after && <span className="truncate text-slate-800" title={describeItem(e.after)}>{describeItem(e.after)}</span>}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
+          {templateDiff ? (
+            templateDiff.length === 0 ? (
+              <div className="px-4 py-3 border border-slate-200 rounded-xl bg-white text-sm text-slate-500">
+                Generated template matches {templateFileName} line for line
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {codeView === 'split' && (
+                  <div className="grid grid-cols-2 text-xs font-semibold text-slate-500">
+                    <span className="px-3 truncate">{templateFileName}</span>
+                    <span className="px-3">Generated</span>
+                  </div>
+                )}
+                {templateDiff.map(hunk => (
+                  <div key={`${hunk.aStart}-${hunk.bStart}`} className="border border-slate-200 rounded-lg overflow-hidden bg-white">
+                    <div className="flex items-center gap-2 flex-wrap px-3 py-1.5 bg-slate-50 border-b border-slate-200 text-xs">
+                      <code className="font-mono text-slate-500">@@ -{hunk.aStart},{hunk.aCount} +{hunk.bStart},{hunk.bCount} @@</code>
+                      {hunk.items.map(({ moduleName, item }) => (
+                        <button
+                          key={item.id}
+                          type="button"
+                          onClick={() => jumpToItem(item.id)}
+                          title="Open in mapping"
+                          className="px-2 py-0.5 max-w-xs truncate rounded border border-slate-200 bg-white font-mono text-slate-600 hover:border-slate-400 hover:text-slate-800"
+                        >
+                          {moduleName} › {describeItem(item)}
+                        </button>
+                      ))}
+                    </div>
+                    {codeView === 'split' ? (
+                      <div className="grid grid-cols-2 divide-x divide-slate-200">
+                        {['left', 'right'].map(side => (
+                          <div key={side} className="min-w-0 overflow-x-auto">
+                            <PrismDiffRows wrap={codeWrap} rows={sideBySideRows(hunk.rows).map(pair => {
+                              const row = pair[side];
+                              if (!row) return { text: '', tone: 'blank' };
+                              return row.op === 'same'
+                                ? { text: row.text, number: (side === 'left' ? row.a : row.b) + 1, tone: 'same' }
+                                : { text: row.text, number: (row.op === 'del' ? row.a : row.b) + 1, sign: row.op === 'del' ? '-' : '+', tone: row.op };
+                            })} />
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <PrismDiffRows wrap={codeWrap} rows={hunk.rows.map(row => ({
+                        text: row.text,
+                        number: (row.op === 'del' ? row.a : row.b) + 1,
+                        sign: { same: ' ', add: '+', del: '-' }[row.op],
+                        tone: row.op,
+                      }))} />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )
+          ) : (
+            <div className="bg-white">
+              <PrismCode code={generateCode()} language="python" wrap={codeWrap} />
+            </div>
+          )}
         </div>
       )}
 
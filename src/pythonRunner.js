@@ -0,0 +1,1891 @@
+// ── In-browser template runner ───────────────────────────────────────────────
+// A small interpreter for the Python that Grizzly templates are written in, so a preview
+// needs no engine. It follows the template dialect: `a?.b` and `a.b` read dict keys and
+// yield None through a missing value, `a[*]` marks an array, attribute access on a list maps
+// over its items, and None never orders against anything (comparisons are False).
+// Numbers are JS doubles (3.0 prints as 3). Classes, generators, `with` and imports other
+// than re / math are not supported: they fail with NotSupportedInBrowser (err.unsupported),
+// which a template's except cannot catch — use the engine preview for those.
+
+const PY_KIND = Symbol('pyKind');
+const PY_MAX_STEPS = 200000;
+const PY_MAX_DEPTH = 200;
+const PY_MAX_TRACE = 2000;
+const PY_KEYWORDS = new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+  'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']);
+const PY_OPERATORS = ['**=', '//=', '>>=', '<<=', '...', '?.', '**', '//', '==', '!=', '<=', '>=', '->', '+=', '-=', '*=', '/=',
+  '%=', '&=', '|=', '^=', '<<', '>>', '+', '-', '*', '/', '%', '<', '>', '=', '(', ')', '[', ']', '{', '}', ',', ':', '.',
+  ';', '@', '|', '&', '^', '~'];
+const PY_AUG_OPS = new Set(['+=', '-=', '*=', '/=', '//=', '%=', '**=', '&=', '|=', '^=', '<<=', '>>=']);
+const PY_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '0': '\0', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+const pyError = (type, message, line) => Object.assign(new Error(`${type}: ${message}`), { pyType: type, pyMessage: message, line });
+const pyUnsupported = (what, line) => Object.assign(
+  pyError('NotSupportedInBrowser', `${what} is not supported in the browser preview — run it on the engine`, line),
+  { fatal: true, unsupported: true });
+
+// ── Tokenizer ──
+const tokenizePython = (source) => {
+  const src = source.replace(/\r\n?/g, '\n');
+  const tokens = [];
+  const indents = [0];
+  const brackets = []; // open ( [ { with their lines, for implicit line joining
+  let i = 0, line = 1, atLineStart = true;
+  const push = (type, value, tokenLine = line, extra = {}) => tokens.push({ type, value, line: tokenLine, ...extra });
+  while (i < src.length) {
+    if (atLineStart && !brackets.length) {
+      let width = 0, j = i;
+      while (src[j] === ' ' || src[j] === '\t') { width += src[j] === '\t' ? 8 - (width % 8) : 1; j++; }
+      if (j >= src.length || src[j] === '\n' || src[j] === '#') { // blank and comment-only lines don't indent
+        while (j < src.length && src[j] !== '\n') j++;
+        i = j + 1;
+        line++;
+        continue;
+      }
+      i = j;
+      atLineStart = false;
+      if (width > indents[indents.length - 1]) {
+        indents.push(width);
+        push('INDENT');
+      } else {
+        while (width < indents[indents.length - 1]) { indents.pop(); push('DEDENT'); }
+        if (width !== indents[indents.length - 1]) throw pyError('IndentationError', 'unindent does not match any outer indentation level', line);
+      }
+    }
+    const ch = src[i];
+    if (ch === '\n') {
+      if (!brackets.length) { push('NEWLINE'); atLineStart = true; }
+      i++; line++;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\f') { i++; continue; }
+    if (ch === '#') { while (i < src.length && src[i] !== '\n') i++; continue; }
+    if (ch === '\\' && src[i + 1] === '\n') { i += 2; line++; continue; }
+
+    const str = /^([rRbBuUfF]{0,2})('''|"""|'|")/.exec(src.slice(i, i + 5));
+    if (str && (str[1] === '' || /^[A-Za-z]/.test(ch))) {
+      const prefix = str[1].toLowerCase();
+      const quote = str[2];
+      const raw = prefix.includes('r');
+      const startLine = line;
+      let j = i + str[0].length, text = '';
+      for (;;) {
+        if (j >= src.length) throw pyError('SyntaxError', 'unterminated string literal', startLine);
+        if (src.startsWith(quote, j)) { j += quote.length; break; }
+        const c = src[j];
+        if (c === '\n') {
+          if (quote.length === 1) throw pyError('SyntaxError', 'unterminated string literal', startLine);
+          line++;
+        }
+        if (c !== '\\') { text += c; j++; continue; }
+        const e = src[j + 1];
+        if (e === '\n') line++;
+        if (raw) { text += c + (e ?? ''); j += 2; continue; }
+        if (e === '\n') { j += 2; continue; }
+        if (PY_ESCAPES[e] !== undefined) { text += PY_ESCAPES[e]; j += 2; continue; }
+        const hex = e === 'x' ? /^[0-9a-fA-F]{2}/.exec(src.slice(j + 2)) : e === 'u' ? /^[0-9a-fA-F]{4}/.exec(src.slice(j + 2)) : null;
+        if (hex) { text += String.fromCharCode(parseInt(hex[0], 16)); j += 2 + hex[0].length; continue; }
+        text += c + (e ?? ''); // unknown escapes keep their backslash
+        j += 2;
+      }
+      push('STRING', text, startLine, { fstring: prefix.includes('f') });
+      i = j;
+      continue;
+    }
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(src[i + 1] || ''))) {
+      const num = /^(0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d+)?)/.exec(src.slice(i, i + 64))[0];
+      push('NUMBER', Number(num.replace(/_/g, '')));
+      i += num.length;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const word = /^\w+/.exec(src.slice(i, i + 256))[0];
+      push('NAME', word);
+      i += word.length;
+      continue;
+    }
+    const op = PY_OPERATORS.find(o => src.startsWith(o, i));
+    if (!op) throw pyError('SyntaxError', `invalid character '${ch}'`, line);
+    if ('([{'.includes(op)) brackets.push({ op, line });
+    if (')]}'.includes(op) && brackets.pop()?.op !== { ')': '(', ']': '[', '}': '{' }[op]) throw pyError('SyntaxError', `unmatched '${op}'`, line);
+    push('OP', op);
+    i += op.length;
+  }
+  if (brackets.length) throw pyError('SyntaxError', `'${brackets[brackets.length - 1].op}' was never closed`, brackets[brackets.length - 1].line);
+  if (tokens.length && !['NEWLINE', 'DEDENT'].includes(tokens[tokens.length - 1].type)) push('NEWLINE');
+  while (indents.length > 1) { indents.pop(); push('DEDENT'); }
+  push('EOF');
+  return tokens;
+};
+
+// ── Parser: tokens → statement / expression nodes ({ k: 'If', line, … }) ──
+const createPythonParser = (tokens) => {
+  let pos = 0;
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const at = (value, offset = 0) => {
+    const t = peek(offset);
+    return (t.type === 'OP' || t.type === 'NAME') && t.value === value;
+  };
+  const next = () => tokens[pos++];
+  const fail = (message, t = peek()) => { throw pyError('SyntaxError', message, t.line); };
+  const accept = (value) => (at(value) ? next() : null);
+  const expect = (value) => accept(value) || fail(`expected '${value}'`);
+  const isName = (t) => t.type === 'NAME' && !PY_KEYWORDS.has(t.value);
+  const name = () => (isName(peek()) ? next().value : fail('expected a name'));
+  const startsExpr = (t) => ['NUMBER', 'STRING'].includes(t.type) ||
+    (t.type === 'NAME' && (!PY_KEYWORDS.has(t.value) || ['None', 'True', 'False', 'not', 'lambda'].includes(t.value))) ||
+    (t.type === 'OP' && ['(', '[', '{', '-', '+', '~', '*', '...'].includes(t.value));
+
+  const parseModule = () => {
+    const body = [];
+    while (peek().type !== 'EOF') {
+      if (peek().type === 'INDENT') fail('unexpected indent');
+      body.push(...parseStatement());
+    }
+    return body;
+  };
+
+  const parseBlock = () => {
+    expect(':');
+    if (peek().type !== 'NEWLINE') return parseSimpleLine();
+    next();
+    if (peek().type !== 'INDENT') fail('expected an indented block');
+    next();
+    const body = [];
+    while (peek().type !== 'DEDENT' && peek().type !== 'EOF') body.push(...parseStatement());
+    if (peek().type === 'DEDENT') next();
+    return body;
+  };
+
+  const parseStatement = () => {
+    const t = peek();
+    if (t.type === 'OP' && t.value === '@') throw pyUnsupported('a decorator', t.line);
+    if (t.type !== 'NAME') return parseSimpleLine();
+    switch (t.value) {
+      case 'def': return [parseDef()];
+      case 'if': return [parseIf()];
+      case 'for': return [parseFor()];
+      case 'while': {
+        next();
+        const test = parseTest();
+        const body = parseBlock();
+        return [{ k: 'While', test, body, orelse: accept('else') ? parseBlock() : [], line: t.line }];
+      }
+      case 'try': return [parseTry()];
+      case 'class': case 'with': case 'async': case 'yield': case 'await':
+        throw pyUnsupported(`'${t.value}'`, t.line);
+      default: return parseSimpleLine();
+    }
+  };
+
+  const parseDef = () => {
+    const line = next().line;
+    const fnName = name();
+    expect('(');
+    const params = [];
+    while (!at(')')) {
+      const star = accept('**') ? '**' : accept('*') ? '*' : null;
+      const paramName = star === '*' && at(',') ? null : name();
+      if (accept(':')) parseTest(); // annotations are ignored
+      params.push({ name: paramName, star, default: !star && accept('=') ? parseTest() : null });
+      if (!accept(',')) break;
+    }
+    expect(')');
+    if (accept('->')) parseTest();
+    return { k: 'Def', name: fnName, params, body: parseBlock(), line };
+  };
+
+  const parseIf = () => {
+    const line = peek().line;
+    const branches = [];
+    do {
+      const branchLine = next().line;
+      const test = parseTest();
+      branches.push({ test, body: parseBlock(), line: branchLine });
+    } while (at('elif'));
+    let orelse = null;
+    if (at('else')) {
+      const elseLine = next().line;
+      orelse = { body: parseBlock(), line: elseLine };
+    }
+    return { k: 'If', branches, orelse, line };
+  };
+
+  const parseFor = () => {
+    const line = next().line;
+    const target = parseTargetList();
+    expect('in');
+    const iter = parseTestList();
+    const body = parseBlock();
+    return { k: 'For', target, iter, body, orelse: accept('else') ? parseBlock() : [], line };
+  };
+
+  const parseTry = () => {
+    const line = next().line;
+    const body = parseBlock();
+    const handlers = [];
+    while (at('except')) {
+      const handlerLine = next().line;
+      const type = at(':') ? null : parseTest();
+      const asName = accept('as') ? name() : null;
+      handlers.push({ type, name: asName, body: parseBlock(), line: handlerLine });
+    }
+    const orelse = accept('else') ? parseBlock() : [];
+    const finalbody = accept('finally') ? parseBlock() : [];
+    if (!handlers.length && !finalbody.length) fail("expected 'except' or 'finally' block");
+    return { k: 'Try', body, handlers, orelse, finalbody, line };
+  };
+
+  const parseSimpleLine = () => {
+    const parseWithEnd = () => ({ ...parseSmall(), endLine: peek(-1).line });
+    const stmts = [parseWithEnd()];
+    while (accept(';')) {
+      if (peek().type === 'NEWLINE' || peek().type === 'EOF') break;
+      stmts.push(parseWithEnd());
+    }
+    if (peek().type === 'NEWLINE') next();
+    else if (peek().type !== 'EOF' && peek().type !== 'DEDENT') fail('invalid syntax');
+    return stmts;
+  };
+
+  const checkTarget = (node) => {
+    if (node.k === 'Tuple' || node.k === 'List') node.elts.forEach(checkTarget);
+    else if (!['Name', 'Attribute', 'Subscript'].includes(node.k)) fail('cannot assign to expression');
+    return node;
+  };
+
+  const parseSmall = () => {
+    const t = peek();
+    const line = t.line;
+    if (t.type === 'NAME') {
+      switch (t.value) {
+        case 'pass': next(); return { k: 'Pass', line };
+        case 'break': next(); return { k: 'Break', line };
+        case 'continue': next(); return { k: 'Continue', line };
+        case 'return': next(); return { k: 'Return', value: startsExpr(peek()) ? parseTestList() : null, line };
+        case 'raise': {
+          next();
+          const exc = startsExpr(peek()) ? parseTest() : null;
+          if (accept('from')) parseTest();
+          return { k: 'Raise', exc, line };
+        }
+        case 'global': case 'nonlocal': {
+          next();
+          const names = [name()];
+          while (accept(',')) names.push(name());
+          return { k: 'Global', names, line };
+        }
+        case 'del': {
+          next();
+          const targets = [checkTarget(parseOr())];
+          while (accept(',')) targets.push(checkTarget(parseOr()));
+          return { k: 'Delete', targets, line };
+        }
+        case 'assert': {
+          next();
+          const test = parseTest();
+          return { k: 'Assert', test, msg: accept(',') ? parseTest() : null, line };
+        }
+        case 'import': {
+          next();
+          const names = [];
+          do {
+            let module = name();
+            while (accept('.')) module += `.${name()}`;
+            names.push({ module, asName: accept('as') ? name() : module.split('.')[0] });
+          } while (accept(','));
+          return { k: 'Import', names, line };
+        }
+        case 'from': {
+          next();
+          let module = name();
+          while (accept('.')) module += `.${name()}`;
+          expect('import');
+          const paren = accept('(');
+          const names = [];
+          do {
+            if (paren && at(')')) break;
+            const member = at('*') ? next().value : name();
+            names.push({ member, asName: accept('as') ? name() : member });
+          } while (accept(','));
+          if (paren) expect(')');
+          return { k: 'ImportFrom', module, names, line };
+        }
+        default: break;
+      }
+    }
+    const first = parseTestList();
+    if (at('=')) {
+      const targets = [checkTarget(first)];
+      let value = null;
+      while (accept('=')) {
+        value = parseTestList();
+        if (at('=')) targets.push(checkTarget(value));
+      }
+      return { k: 'Assign', targets, value, line };
+    }
+    if (peek().type === 'OP' && PY_AUG_OPS.has(peek().value)) {
+      const op = next().value.slice(0, -1);
+      return { k: 'AugAssign', target: checkTarget(first), op, value: parseTestList(), line };
+    }
+    if (accept(':')) { // annotated assignment
+      parseTest();
+      return accept('=') ? { k: 'Assign', targets: [checkTarget(first)], value: parseTestList(), line } : { k: 'Pass', line };
+    }
+    return { k: 'Expr', value: first, line };
+  };
+
+  // `for` targets stop before `in`, so they are parsed below the comparison level
+  const parseTargetList = () => {
+    const line = peek().line;
+    const first = checkTarget(parseBinary(0));
+    if (!at(',')) return first;
+    const elts = [first];
+    while (accept(',')) {
+      if (at('in') || at('=')) break;
+      elts.push(checkTarget(parseBinary(0)));
+    }
+    return { k: 'Tuple', elts, line };
+  };
+
+  const parseTestList = () => {
+    const line = peek().line;
+    const first = parseTestOrStar();
+    if (!at(',')) return first;
+    const elts = [first];
+    while (accept(',')) {
+      if (!startsExpr(peek())) break;
+      elts.push(parseTestOrStar());
+    }
+    return { k: 'Tuple', elts, line };
+  };
+
+  const parseTestOrStar = () => {
+    if (!at('*')) return parseTest();
+    const line = next().line;
+    return { k: 'Starred', value: parseOr(), line };
+  };
+
+  const parseTest = () => {
+    if (at('lambda')) return parseLambda();
+    const body = parseOr();
+    if (!at('if')) return body;
+    next();
+    const test = parseOr();
+    expect('else');
+    return { k: 'IfExp', test, body, orelse: parseTest(), line: body.line };
+  };
+
+  const parseLambda = () => {
+    const line = next().line;
+    const params = [];
+    while (!at(':')) {
+      const star = accept('**') ? '**' : accept('*') ? '*' : null;
+      params.push({ name: name(), star, default: !star && accept('=') ? parseTest() : null });
+      if (!accept(',')) break;
+    }
+    expect(':');
+    return { k: 'Lambda', params, body: parseTest(), line };
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (at('or')) {
+      const line = next().line;
+      left = { k: 'BoolOp', op: 'or', left, right: parseAnd(), line };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (at('and')) {
+      const line = next().line;
+      left = { k: 'BoolOp', op: 'and', left, right: parseNot(), line };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (!at('not')) return parseComparison();
+    const line = next().line;
+    return { k: 'Not', operand: parseNot(), line };
+  };
+
+  const parseComparison = () => {
+    const line = peek().line;
+    const left = parseBinary(0);
+    const ops = [];
+    const comparators = [];
+    for (;;) {
+      let op;
+      if (at('not') && at('in', 1)) { next(); next(); op = 'not in'; }
+      else if (at('is')) { next(); op = accept('not') ? 'is not' : 'is'; }
+      else if (at('in') || (peek().type === 'OP' && ['==', '!=', '<', '>', '<=', '>='].includes(peek().value))) op = next().value;
+      else break;
+      ops.push(op);
+      comparators.push(parseBinary(0));
+    }
+    return ops.length ? { k: 'Compare', left, ops, comparators, line } : left;
+  };
+
+  const BIN_LEVELS = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '//', '%', '@']];
+  const parseBinary = (level) => {
+    if (level === BIN_LEVELS.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek().type === 'OP' && BIN_LEVELS[level].includes(peek().value)) {
+      const t = next();
+      left = { k: 'BinOp', op: t.value, left, right: parseBinary(level + 1), line: t.line };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const t = peek();
+    if (t.type === 'OP' && ['-', '+', '~'].includes(t.value)) {
+      next();
+      return { k: 'UnaryOp', op: t.value, operand: parseUnary(), line: t.line };
+    }
+    const base = parsePostfix();
+    if (!at('**')) return base;
+    const line = next().line;
+    return { k: 'BinOp', op: '**', left: base, right: parseUnary(), line };
+  };
+
+  const parsePostfix = () => {
+    let node = parseAtom();
+    for (;;) {
+      const t = peek();
+      if (at('.') || at('?.')) {
+        next();
+        const attr = peek().type === 'NAME' ? next().value : fail('expected an attribute name');
+        node = { k: 'Attribute', value: node, attr, safe: t.value === '?.', line: t.line };
+      } else if (at('[')) {
+        next();
+        if (at('*') && at(']', 1)) {
+          next(); next();
+          node = { k: 'Project', value: node, line: t.line };
+          continue;
+        }
+        const index = parseSubscript();
+        expect(']');
+        node = { k: 'Subscript', value: node, index, line: t.line };
+      } else if (at('(')) {
+        next();
+        node = { k: 'Call', func: node, ...parseCallArgs(), line: t.line };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseSliceItem = () => {
+    let lower = null, upper = null, step = null;
+    if (!at(':')) {
+      lower = parseTest();
+      if (!at(':')) return lower;
+    }
+    next();
+    if (!at(']') && !at(':') && !at(',')) upper = parseTest();
+    if (accept(':') && !at(']') && !at(',')) step = parseTest();
+    return { k: 'Slice', lower, upper, step };
+  };
+
+  const parseSubscript = () => {
+    const line = peek().line;
+    const first = parseSliceItem();
+    if (!at(',')) return first;
+    const elts = [first];
+    while (accept(',')) {
+      if (at(']')) break;
+      elts.push(parseSliceItem());
+    }
+    return { k: 'Tuple', elts, line };
+  };
+
+  const parseCallArgs = () => {
+    const args = [];
+    const keywords = [];
+    while (!at(')')) {
+      const line = peek().line;
+      if (accept('**')) keywords.push({ name: null, value: parseTest() });
+      else if (accept('*')) args.push({ k: 'Starred', value: parseTest(), line });
+      else if (isName(peek()) && at('=', 1)) {
+        const keyword = next().value;
+        next();
+        keywords.push({ name: keyword, value: parseTest() });
+      } else {
+        const value = parseTest();
+        args.push(at('for') ? parseComprehension(value, line, { kind: 'list' }) : value); // sum(x for x in xs)
+      }
+      if (!accept(',')) break;
+    }
+    expect(')');
+    return { args, keywords };
+  };
+
+  const parseComprehension = (elt, line, extra) => {
+    const generators = [];
+    while (at('for')) {
+      next();
+      const target = parseTargetList();
+      expect('in');
+      const iter = parseOr();
+      const ifs = [];
+      while (at('if')) { next(); ifs.push(parseOr()); }
+      generators.push({ target, iter, ifs });
+    }
+    return { k: 'Comp', elt, generators, line, ...extra };
+  };
+
+  const parseFString = (text, line) => {
+    const parts = [];
+    let literal = '';
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if ((c === '{' || c === '}') && text[i + 1] === c) { literal += c; i++; continue; }
+      if (c === '}') fail("f-string: single '}' is not allowed", { line });
+      if (c !== '{') { literal += c; continue; }
+      let j = i + 1, nesting = 0, quote = null;
+      for (; j < text.length; j++) {
+        const d = text[j];
+        if (quote) { if (d === quote) quote = null; continue; }
+        if (d === '"' || d === "'") quote = d;
+        else if ('([{'.includes(d)) nesting++;
+        else if (')]}'.includes(d)) { if (d === '}' && nesting === 0) break; nesting--; }
+        else if (nesting === 0 && (d === ':' || (d === '!' && text[j + 1] !== '='))) break;
+      }
+      const exprText = text.slice(i + 1, j).trim();
+      let conversion = null, spec = '';
+      if (text[j] === '!') { conversion = text[j + 1]; j += 2; }
+      if (text[j] === ':') {
+        const close = text.indexOf('}', j);
+        spec = text.slice(j + 1, close < 0 ? text.length : close);
+        j = close < 0 ? text.length : close;
+      }
+      if (text[j] !== '}' || !exprText) fail('f-string: expecting an expression in {}', { line });
+      if (literal) parts.push(literal);
+      literal = '';
+      const exprTokens = tokenizePython(exprText).map(tk => ({ ...tk, line }));
+      const sub = createPythonParser(exprTokens);
+      parts.push({ expr: sub.parseExpression(), conversion, spec });
+      i = j;
+    }
+    if (literal) parts.push(literal);
+    return parts;
+  };
+
+  const parseAtom = () => {
+    const t = next();
+    const line = t.line;
+    if (t.type === 'NUMBER') return { k: 'Const', value: t.value, line };
+    if (t.type === 'STRING') {
+      const pieces = [t];
+      while (peek().type === 'STRING') pieces.push(next());
+      if (!pieces.some(p => p.fstring)) return { k: 'Const', value: pieces.map(p => p.value).join(''), line };
+      return { k: 'FString', parts: pieces.flatMap(p => (p.fstring ? parseFString(p.value, p.line) : [p.value])), line };
+    }
+    if (t.type === 'NAME') {
+      if (t.value === 'None') return { k: 'Const', value: null, line };
+      if (t.value === 'True') return { k: 'Const', value: true, line };
+      if (t.value === 'False') return { k: 'Const', value: false, line };
+      if (t.value === 'yield' || t.value === 'await') throw pyUnsupported(`'${t.value}'`, line);
+      if (PY_KEYWORDS.has(t.value)) fail('invalid syntax', t);
+      return { k: 'Name', id: t.value, line };
+    }
+    if (t.type === 'OP' && t.value === '...') return { k: 'Const', value: null, line };
+    if (t.type === 'OP' && t.value === '(') {
+      if (accept(')')) return { k: 'Tuple', elts: [], line };
+      const first = parseTestOrStar();
+      if (at('for')) {
+        const comp = parseComprehension(first, line, { kind: 'list' });
+        expect(')');
+        return comp;
+      }
+      if (!at(',')) { expect(')'); return first; }
+      const elts = [first];
+      while (accept(',')) {
+        if (at(')')) break;
+        elts.push(parseTestOrStar());
+      }
+      expect(')');
+      return { k: 'Tuple', elts, line };
+    }
+    if (t.type === 'OP' && t.value === '[') {
+      if (accept(']')) return { k: 'List', elts: [], line };
+      const first = parseTestOrStar();
+      if (at('for')) {
+        const comp = parseComprehension(first, line, { kind: 'list' });
+        expect(']');
+        return comp;
+      }
+      const elts = [first];
+      while (accept(',')) {
+        if (at(']')) break;
+        elts.push(parseTestOrStar());
+      }
+      expect(']');
+      return { k: 'List', elts, line };
+    }
+    if (t.type === 'OP' && t.value === '{') {
+      if (accept('}')) return { k: 'Dict', keys: [], values: [], line };
+      const keys = [];
+      const values = [];
+      const parseEntry = () => {
+        if (accept('**')) { keys.push(null); values.push(parseBinary(0)); return; }
+        keys.push(parseTest());
+        expect(':');
+        values.push(parseTest());
+      };
+      if (!at('**')) {
+        const first = parseTestOrStar();
+        if (!accept(':')) { // a set
+          if (at('for')) {
+            const comp = parseComprehension(first, line, { kind: 'set' });
+            expect('}');
+            return comp;
+          }
+          const elts = [first];
+          while (accept(',')) {
+            if (at('}')) break;
+            elts.push(parseTestOrStar());
+          }
+          expect('}');
+          return { k: 'Set', elts, line };
+        }
+        const value = parseTest();
+        if (at('for')) {
+          const comp = parseComprehension(value, line, { kind: 'dict', key: first });
+          expect('}');
+          return comp;
+        }
+        keys.push(first);
+        values.push(value);
+      } else {
+        parseEntry();
+      }
+      while (accept(',')) {
+        if (at('}')) break;
+        parseEntry();
+      }
+      expect('}');
+      return { k: 'Dict', keys, values, line };
+    }
+    return fail('invalid syntax', t);
+  };
+
+  const parseExpression = () => {
+    const expr = parseTestList();
+    if (peek().type === 'NEWLINE') next();
+    if (peek().type !== 'EOF') fail('invalid syntax');
+    return expr;
+  };
+
+  return { parseModule, parseExpression };
+};
+
+export const parsePython = (source) => createPythonParser(tokenizePython(source)).parseModule();
+
+// ── Values ──
+const isPyDict = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !v[PY_KIND];
+
+const pyTypeName = (v) => {
+  if (v == null) return 'NoneType';
+  if (typeof v === 'boolean') return 'bool';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'int' : 'float';
+  if (typeof v === 'string') return 'str';
+  if (Array.isArray(v)) return 'list';
+  if (v instanceof Date) return 'datetime';
+  if (typeof v === 'function' || v[PY_KIND] === 'function') return 'function';
+  if (v[PY_KIND]) return v[PY_KIND];
+  return 'dict';
+};
+
+const pyTruthy = (v) => {
+  if (v == null) return false;
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0 && !Number.isNaN(v);
+  if (typeof v === 'string' || Array.isArray(v)) return v.length > 0;
+  if (isPyDict(v)) return Object.keys(v).length > 0;
+  return true;
+};
+
+const pad2 = (n, width = 2) => String(n).padStart(width, '0');
+
+const pyRepr = (v) => (typeof v === 'string' ? `'${v.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'` : pyStr(v));
+
+const pyStr = (v) => {
+  if (v == null) return 'None';
+  if (v === true) return 'True';
+  if (v === false) return 'False';
+  if (typeof v === 'number') return Number.isNaN(v) ? 'nan' : v === Infinity ? 'inf' : v === -Infinity ? '-inf' : String(v);
+  if (typeof v === 'string') return v;
+  if (Array.isArray(v)) return `[${v.map(pyRepr).join(', ')}]`;
+  if (v instanceof Date) {
+    const micro = v.getMilliseconds() ? `.${pad2(v.getMilliseconds() * 1000, 6)}` : '';
+    return `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())} ${pad2(v.getHours())}:${pad2(v.getMinutes())}:${pad2(v.getSeconds())}${micro}`;
+  }
+  if (typeof v === 'function' || v[PY_KIND] === 'function') return `<function ${v.pyName || v.name || 'lambda'}>`;
+  if (v[PY_KIND] === 'exception') return v.message;
+  if (v[PY_KIND]) return `<${v[PY_KIND]} ${v.name || ''}>`.replace(' >', '>');
+  return `{${Object.entries(v).map(([k, val]) => `${pyRepr(k)}: ${pyRepr(val)}`).join(', ')}}`;
+};
+
+const pyEquals = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return false;
+  const numeric = (x) => typeof x === 'number' || typeof x === 'boolean';
+  if (numeric(a) && numeric(b)) return +a === +b;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => pyEquals(x, b[i]));
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (isPyDict(a) && isPyDict(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && pyEquals(a[k], b[k]));
+  }
+  return false;
+};
+
+// -1 / 0 / 1, or null when the two values don't order (None never does)
+const pyOrder = (a, b) => {
+  if (a == null || b == null) return null;
+  const numeric = (x) => typeof x === 'number' || typeof x === 'boolean';
+  if (numeric(a) && numeric(b)) return +a < +b ? -1 : +a > +b ? 1 : 0;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (a instanceof Date && b instanceof Date) return Math.sign(a.getTime() - b.getTime());
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (pyEquals(a[i], b[i])) continue;
+      return pyOrder(a[i], b[i]);
+    }
+    return Math.sign(a.length - b.length);
+  }
+  throw pyError('TypeError', `'<' not supported between instances of '${pyTypeName(a)}' and '${pyTypeName(b)}'`);
+};
+
+const pySortCompare = (a, b) => pyOrder(a, b) ?? 0;
+
+const pyContains = (container, item) => {
+  if (container == null) return false;
+  if (typeof container === 'string') {
+    if (typeof item !== 'string') throw pyError('TypeError', `'in <string>' requires string as left operand, not ${pyTypeName(item)}`);
+    return container.includes(item);
+  }
+  if (Array.isArray(container)) return container.some(x => pyEquals(x, item));
+  if (isPyDict(container)) return Object.hasOwn(container, pyDictKey(item));
+  throw pyError('TypeError', `argument of type '${pyTypeName(container)}' is not iterable`);
+};
+
+const pyDictKey = (k) => (typeof k === 'string' ? k : pyStr(k));
+
+const pyIterate = (v) => {
+  if (v == null) return []; // dialect: iterating a missing list does nothing
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string') return [...v];
+  if (isPyDict(v)) return Object.keys(v);
+  throw pyError('TypeError', `'${pyTypeName(v)}' object is not iterable`);
+};
+
+const pyFloorMod = (a, b) => a - b * Math.floor(a / b);
+
+const pyRoundHalfEven = (x) => {
+  const r = Math.round(x);
+  return Math.abs(x % 1) === 0.5 && r % 2 !== 0 ? r - 1 : r;
+};
+
+// Python format spec: [[fill]align][sign][0][width][,][.precision][type]
+const pyFormat = (v, spec) => {
+  if (!spec) return pyStr(v);
+  const m = /^(?:(.)?([<>^=]))?([+\- ])?(0)?(\d+)?(,)?(?:\.(\d+))?([sdfFeE%gGxXbo])?$/.exec(spec);
+  if (!m) throw pyError('ValueError', `Invalid format specifier '${spec}'`);
+  const [, fillChar, alignChar, sign, zero, width, comma, precisionText, type] = m;
+  const precision = precisionText == null ? null : Number(precisionText);
+  const isNumber = typeof v === 'number' || typeof v === 'boolean';
+  let prefix = '', body;
+  if (isNumber) {
+    let n = +v;
+    if (n < 0 || Object.is(n, -0)) { prefix = '-'; n = -n; } else if (sign === '+') prefix = '+'; else if (sign === ' ') prefix = ' ';
+    if (type === 'f' || type === 'F') body = n.toFixed(precision ?? 6);
+    else if (type === '%') body = `${(n * 100).toFixed(precision ?? 6)}%`;
+    else if (type === 'e' || type === 'E') body = n.toExponential(precision ?? 6).replace(/e([+-])(\d)$/, 'e$10$2');
+    else if (type === 'd' || type === 'x' || type === 'X' || type === 'b' || type === 'o') {
+      if (!Number.isInteger(n)) throw pyError('ValueError', `Unknown format code '${type}' for object of type 'float'`);
+      body = n.toString({ d: 10, x: 16, X: 16, b: 2, o: 8 }[type]);
+      if (type === 'X') body = body.toUpperCase();
+    } else if (type === 'g' || type === 'G' || precision != null) body = String(Number(n.toPrecision(precision || 6)));
+    else body = pyStr(n);
+    if (type === 'E') body = body.toUpperCase();
+    if (comma) body = body.replace(/^\d+/, d => d.replace(/\B(?=(\d{3})+$)/g, ','));
+  } else {
+    if (type && type !== 's') throw pyError('ValueError', `Unknown format code '${type}' for object of type '${pyTypeName(v)}'`);
+    body = pyStr(v);
+    if (precision != null) body = body.slice(0, precision);
+  }
+  const fill = fillChar ?? (zero && !alignChar ? '0' : ' ');
+  const align = alignChar ?? (zero ? '=' : isNumber ? '>' : '<');
+  const padding = Math.max(0, Number(width || 0) - prefix.length - body.length);
+  if (align === '=') return prefix + fill.repeat(padding) + body;
+  const text = prefix + body;
+  if (align === '<') return text + fill.repeat(padding);
+  if (align === '^') return fill.repeat(Math.floor(padding / 2)) + text + fill.repeat(Math.ceil(padding / 2));
+  return fill.repeat(padding) + text;
+};
+
+const pyPercentFormat = (format, values) => {
+  const args = Array.isArray(values) ? values : [values];
+  let next = 0;
+  return format.replace(/%([-+ 0]*)(\d+)?(?:\.(\d+))?([sdifr%])/g, (m, flags, width = '', precision, type) => {
+    if (type === '%') return '%';
+    if (next >= args.length) throw pyError('TypeError', 'not enough arguments for format string');
+    const v = args[next++];
+    const spec = `${flags.includes('-') ? '<' : ''}${flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : ''}${flags.includes('0') && !flags.includes('-') ? '0' : ''}${width}`;
+    if (type === 's' || type === 'r') return pyFormat(type === 'r' ? pyRepr(v) : pyStr(v), spec + (precision != null ? `.${precision}` : ''));
+    if (type === 'f') return pyFormat(v, `${spec}.${precision ?? 6}f`);
+    return pyFormat(Math.trunc(v), `${spec}d`);
+  });
+};
+
+// ── Dates ──
+const PY_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const PY_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const PY_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?)?/;
+
+const toPyDate = (v, fnName) => {
+  if (v instanceof Date) return v;
+  const m = typeof v === 'string' ? PY_DATE_RE.exec(v.trim()) : null;
+  if (!m) throw pyError('ValueError', `${fnName}() expects a date or an ISO date string, got ${pyRepr(v)}`);
+  const [, y, mo, d, h = 0, mi = 0, s = 0, frac = '0'] = m;
+  return new Date(+y, +mo - 1, +d, +h, +mi, +s, Math.floor(Number(`0.${frac}`) * 1000));
+};
+
+const timezoneOffset = (date) => {
+  const offset = -date.getTimezoneOffset();
+  return `${offset < 0 ? '-' : '+'}${pad2(Math.floor(Math.abs(offset) / 60))}${pad2(Math.abs(offset) % 60)}`;
+};
+
+const dayOfYear = (date) => Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - new Date(date.getFullYear(), 0, 1)) / 86400000) + 1;
+
+const pyStrftime = (date, format) => format.replace(/%(-?)([a-zA-Z%])/g, (m, noPad, code) => {
+  const p = (n, w = 2) => (noPad ? String(n) : pad2(n, w));
+  const hour12 = date.getHours() % 12 || 12;
+  switch (code) {
+    case 'Y': return String(date.getFullYear());
+    case 'y': return pad2(date.getFullYear() % 100);
+    case 'm': return p(date.getMonth() + 1);
+    case 'd': return p(date.getDate());
+    case 'H': return p(date.getHours());
+    case 'I': return p(hour12);
+    case 'M': return p(date.getMinutes());
+    case 'S': return p(date.getSeconds());
+    case 'f': return pad2(date.getMilliseconds() * 1000, 6);
+    case 'p': return date.getHours() < 12 ? 'AM' : 'PM';
+    case 'b': return PY_MONTHS[date.getMonth()].slice(0, 3);
+    case 'B': return PY_MONTHS[date.getMonth()];
+    case 'a': return PY_WEEKDAYS[date.getDay()].slice(0, 3);
+    case 'A': return PY_WEEKDAYS[date.getDay()];
+    case 'j': return p(dayOfYear(date), 3);
+    case 'z': return timezoneOffset(date);
+    case 'Z': return '';
+    case '%': return '%';
+    default: return m;
+  }
+});
+
+// Java / SimpleDateFormat patterns (yyyy-MM-dd HH:mm:ss) — the builtin formatDate() takes these
+const formatJavaDate = (date, pattern) => pattern.replace(/'((?:[^']|'')*)'|([A-Za-z])\2*/g, (token, quoted) => {
+  if (quoted !== undefined) return quoted === '' ? "'" : quoted.replace(/''/g, "'");
+  const n = token.length;
+  switch (token[0]) {
+    case 'y': return n === 2 ? pad2(date.getFullYear() % 100) : pad2(date.getFullYear(), n);
+    case 'M': return n >= 4 ? PY_MONTHS[date.getMonth()] : n === 3 ? PY_MONTHS[date.getMonth()].slice(0, 3) : pad2(date.getMonth() + 1, n);
+    case 'd': return pad2(date.getDate(), n);
+    case 'H': return pad2(date.getHours(), n);
+    case 'h': return pad2(date.getHours() % 12 || 12, n);
+    case 'm': return pad2(date.getMinutes(), n);
+    case 's': return pad2(date.getSeconds(), n);
+    case 'S': return pad2(date.getMilliseconds(), 3).slice(0, n).padEnd(n, '0');
+    case 'a': return date.getHours() < 12 ? 'AM' : 'PM';
+    case 'E': return n >= 4 ? PY_WEEKDAYS[date.getDay()] : PY_WEEKDAYS[date.getDay()].slice(0, 3);
+    case 'D': return pad2(dayOfYear(date), n);
+    case 'Z': return timezoneOffset(date);
+    default: return token;
+  }
+});
+
+// ── Builtins, methods and modules ──
+// Natives take (args, kwargs, ctx); methods take (self, args, kwargs, ctx)
+const pyNative = (pyName, fn, extra = {}) => Object.assign(fn, { pyName, ...extra });
+
+const pyException = (type, message) => ({ [PY_KIND]: 'exception', type, message: message == null ? '' : pyStr(message) });
+
+const PY_EXCEPTION_PARENTS = {
+  KeyError: 'LookupError', IndexError: 'LookupError', ZeroDivisionError: 'ArithmeticError', OverflowError: 'ArithmeticError',
+  LookupError: 'Exception', ArithmeticError: 'Exception', ValueError: 'Exception', TypeError: 'Exception',
+  AttributeError: 'Exception', NameError: 'Exception', RuntimeError: 'Exception', AssertionError: 'Exception',
+  ImportError: 'Exception', NotImplementedError: 'RuntimeError', Exception: null,
+};
+const pyExceptionMatches = (type, wanted) => {
+  for (let t = type; t; t = PY_EXCEPTION_PARENTS[t]) if (t === wanted) return true;
+  return wanted === 'Exception'; // re.error and friends
+};
+const PY_EXCEPTION_TYPES = Object.fromEntries(Object.keys(PY_EXCEPTION_PARENTS).map(name => [name, { [PY_KIND]: 'exctype', name }]));
+
+const pyCheckString = (self, method) => {
+  if (typeof self !== 'string') throw pyError('TypeError', `${method}() argument must be str, not ${pyTypeName(self)}`);
+  return self;
+};
+
+const pyStripChars = (chars) => new RegExp(`[${chars.replace(/[\]\\^-]/g, '\\$&')}]`);
+const pyStrip = (self, chars, left, right) => {
+  if (chars == null) return left && right ? self.trim() : left ? self.trimStart() : self.trimEnd();
+  const re = pyStripChars(chars);
+  let start = 0, end = self.length;
+  if (left) while (start < end && re.test(self[start])) start++;
+  if (right) while (end > start && re.test(self[end - 1])) end--;
+  return self.slice(start, end);
+};
+
+const pySplit = (self, sep, maxsplit = -1) => {
+  if (sep === '') throw pyError('ValueError', 'empty separator');
+  if (sep == null) {
+    const parts = [];
+    let rest = self.trimStart();
+    while (rest && (maxsplit < 0 || parts.length < maxsplit)) {
+      const m = /\s+/.exec(rest);
+      if (!m) break;
+      parts.push(rest.slice(0, m.index));
+      rest = rest.slice(m.index + m[0].length);
+    }
+    if (rest) parts.push(maxsplit < 0 || parts.length < maxsplit ? rest.trimEnd() : rest);
+    return parts;
+  }
+  const parts = self.split(sep);
+  return maxsplit >= 0 && parts.length > maxsplit + 1 ? [...parts.slice(0, maxsplit), parts.slice(maxsplit).join(sep)] : parts;
+};
+
+const pyFormatString = (self, args, kwargs) => {
+  let auto = 0;
+  return self.replace(/\{\{|\}\}|\{([^{}:!]*)(?:!([rs]))?(?::([^{}]*))?\}/g, (m, field, conversion, spec) => {
+    if (m === '{{') return '{';
+    if (m === '}}') return '}';
+    const [head, ...attrs] = field.split('.');
+    let v = head === '' ? args[auto++] : /^\d+$/.test(head) ? args[Number(head)] : kwargs[head];
+    attrs.forEach(a => { v = pyGetAttr(v, a); });
+    return pyFormat(conversion === 'r' ? pyRepr(v) : v, spec);
+  });
+};
+
+const PY_STR_METHODS = {
+  upper: (s) => s.toUpperCase(),
+  lower: (s) => s.toLowerCase(),
+  strip: (s, [chars]) => pyStrip(s, chars, true, true),
+  lstrip: (s, [chars]) => pyStrip(s, chars, true, false),
+  rstrip: (s, [chars]) => pyStrip(s, chars, false, true),
+  split: (s, [sep = null, maxsplit = -1], kw) => pySplit(s, kw.sep ?? sep, kw.maxsplit ?? maxsplit),
+  splitlines: (s) => s.split(/\r?\n/).filter((l, i, all) => i < all.length - 1 || l !== ''),
+  join: (s, [items]) => pyIterate(items).map((item, i) => {
+    if (typeof item !== 'string') throw pyError('TypeError', `sequence item ${i}: expected str instance, ${pyTypeName(item)} found`);
+    return item;
+  }).join(s),
+  replace: (s, [old, replacement, count = -1]) => {
+    if (count < 0) return s.split(pyCheckString(old, 'replace')).join(pyCheckString(replacement, 'replace'));
+    let out = s;
+    for (let i = 0, from = 0; i < count; i++) {
+      const at = out.indexOf(old, from);
+      if (at < 0) break;
+      out = out.slice(0, at) + replacement + out.slice(at + old.length);
+      from = at + replacement.length;
+    }
+    return out;
+  },
+  startswith: (s, [prefix]) => (Array.isArray(prefix) ? prefix : [prefix]).some(p => s.startsWith(pyCheckString(p, 'startswith'))),
+  endswith: (s, [suffix]) => (Array.isArray(suffix) ? suffix : [suffix]).some(p => s.endsWith(pyCheckString(p, 'endswith'))),
+  find: (s, [sub]) => s.indexOf(sub),
+  rfind: (s, [sub]) => s.lastIndexOf(sub),
+  index: (s, [sub]) => {
+    const i = s.indexOf(sub);
+    if (i < 0) throw pyError('ValueError', 'substring not found');
+    return i;
+  },
+  count: (s, [sub]) => (sub === '' ? s.length + 1 : s.split(sub).length - 1),
+  zfill: (s, [width]) => (/^[+-]/.test(s) ? s[0] + s.slice(1).padStart(width - 1, '0') : s.padStart(width, '0')),
+  ljust: (s, [width, fill = ' ']) => s.padEnd(width, fill),
+  rjust: (s, [width, fill = ' ']) => s.padStart(width, fill),
+  center: (s, [width, fill = ' ']) => pyFormat(s, `${fill}^${width}`),
+  title: (s) => s.toLowerCase().replace(/(^|[^A-Za-z])([a-z])/g, (m, pre, c) => pre + c.toUpperCase()),
+  capitalize: (s) => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase(),
+  isdigit: (s) => /^\d+$/.test(s),
+  isnumeric: (s) => /^\d+$/.test(s),
+  isalpha: (s) => /^\p{L}+$/u.test(s),
+  isalnum: (s) => /^[\p{L}\d]+$/u.test(s),
+  isspace: (s) => /^\s+$/.test(s),
+  isupper: (s) => /\p{Lu}/u.test(s) && s === s.toUpperCase(),
+  islower: (s) => /\p{Ll}/u.test(s) && s === s.toLowerCase(),
+  format: (s, args, kwargs) => pyFormatString(s, args, kwargs),
+};
+
+const PY_LIST_METHODS = {
+  append: (l, [x]) => { l.push(x); return null; },
+  extend: (l, [items]) => { l.push(...pyIterate(items)); return null; },
+  insert: (l, [i, x]) => { l.splice(i < 0 ? Math.max(0, l.length + i) : i, 0, x); return null; },
+  pop: (l, [i = -1]) => {
+    if (!l.length) throw pyError('IndexError', 'pop from empty list');
+    const index = i < 0 ? l.length + i : i;
+    if (index < 0 || index >= l.length) throw pyError('IndexError', 'pop index out of range');
+    return l.splice(index, 1)[0];
+  },
+  remove: (l, [x]) => {
+    const i = l.findIndex(item => pyEquals(item, x));
+    if (i < 0) throw pyError('ValueError', 'list.remove(x): x not in list');
+    l.splice(i, 1);
+    return null;
+  },
+  index: (l, [x]) => {
+    const i = l.findIndex(item => pyEquals(item, x));
+    if (i < 0) throw pyError('ValueError', `${pyRepr(x)} is not in list`);
+    return i;
+  },
+  count: (l, [x]) => l.filter(item => pyEquals(item, x)).length,
+  sort: (l, args, kwargs, ctx) => { pySortInPlace(l, kwargs, ctx); return null; },
+  reverse: (l) => { l.reverse(); return null; },
+  copy: (l) => [...l],
+  clear: (l) => { l.length = 0; return null; },
+};
+
+const PY_DICT_METHODS = {
+  get: (d, [k, fallback = null]) => (Object.hasOwn(d, pyDictKey(k)) ? d[pyDictKey(k)] : fallback),
+  keys: (d) => Object.keys(d),
+  values: (d) => Object.values(d),
+  items: (d) => Object.entries(d),
+  update: (d, [other], kwargs) => { Object.assign(d, pyToDict(other), kwargs); return null; },
+  pop: (d, args) => {
+    const k = pyDictKey(args[0]);
+    if (!Object.hasOwn(d, k)) {
+      if (args.length > 1) return args[1];
+      throw pyError('KeyError', pyRepr(args[0]));
+    }
+    const v = d[k];
+    delete d[k];
+    return v;
+  },
+  setdefault: (d, [k, fallback = null]) => {
+    const key = pyDictKey(k);
+    if (!Object.hasOwn(d, key)) d[key] = fallback;
+    return d[key];
+  },
+  copy: (d) => ({ ...d }),
+  clear: (d) => { Object.keys(d).forEach(k => delete d[k]); return null; },
+};
+
+const PY_DATE_METHODS = {
+  strftime: (d, [format]) => pyStrftime(d, pyCheckString(format, 'strftime')),
+  isoformat: (d) => pyStr(d).replace(' ', 'T'),
+};
+const PY_DATE_FIELDS = {
+  year: (d) => d.getFullYear(), month: (d) => d.getMonth() + 1, day: (d) => d.getDate(),
+  hour: (d) => d.getHours(), minute: (d) => d.getMinutes(), second: (d) => d.getSeconds(),
+  microsecond: (d) => d.getMilliseconds() * 1000,
+};
+
+const pyToDict = (v) => {
+  if (v == null) return {};
+  if (isPyDict(v)) return { ...v };
+  return Object.fromEntries(pyIterate(v).map(pair => {
+    const [k, val] = pyIterate(pair);
+    return [pyDictKey(k), val];
+  }));
+};
+
+const pySortInPlace = (list, kwargs, ctx) => {
+  const key = kwargs.key;
+  const keyed = list.map(v => [key != null ? pyCall(key, [v], {}, ctx) : v, v]);
+  keyed.sort((a, b) => pySortCompare(a[0], b[0]));
+  if (pyTruthy(kwargs.reverse)) keyed.reverse();
+  keyed.forEach(([, v], i) => { list[i] = v; });
+  return list;
+};
+
+// Python regex syntax that JS spells differently
+const pyRegExp = (pattern, flags = 0, extra = '') => {
+  if (pattern?.[PY_KIND] === 'pattern') return pyRegExp(pattern.pattern, pattern.flags | flags, extra);
+  const source = pyCheckString(pattern, 're')
+    .replace(/\(\?P<(\w+)>/g, '(?<$1>').replace(/\(\?P=(\w+)\)/g, '\\k<$1>').replace(/\\A/g, '^').replace(/\\Z/g, '$');
+  const jsFlags = extra + (flags & 2 ? 'i' : '') + (flags & 8 ? 'm' : '') + (flags & 16 ? 's' : '');
+  try {
+    return new RegExp(source, jsFlags);
+  } catch (e) {
+    throw pyError('re.error', e.message);
+  }
+};
+
+const pyMatch = (m) => (m ? { [PY_KIND]: 'match', m } : null);
+const pyMatchGroup = (m, g = 0) => (typeof g === 'string' ? m.groups?.[g] : m[g]) ?? null;
+const PY_MATCH_METHODS = {
+  group: ({ m }, args) => (args.length > 1 ? args.map(g => pyMatchGroup(m, g)) : pyMatchGroup(m, args[0])),
+  groups: ({ m }, [fallback = null]) => m.slice(1).map(g => g ?? fallback),
+  groupdict: ({ m }) => ({ ...(m.groups || {}) }),
+  start: ({ m }) => m.index,
+  end: ({ m }) => m.index + m[0].length,
+  span: ({ m }) => [m.index, m.index + m[0].length],
+};
+
+const pyExpandTemplate = (template, m) => template.replace(/\\(?:g<(\w+)>|(\d{1,2})|(\\))/g, (s, named, numbered, backslash) => {
+  if (backslash) return '\\';
+  const g = named ?? numbered;
+  return pyMatchGroup(m, /^\d+$/.test(g) ? Number(g) : g) ?? '';
+});
+
+const PY_RE_FUNCTIONS = {
+  match: ([pattern, s, flags = 0]) => pyMatch(pyRegExp(pattern, flags, 'y').exec(pyCheckString(s, 'match'))),
+  fullmatch: ([pattern, s, flags = 0]) => {
+    const re = pyRegExp(pattern, flags);
+    return pyMatch(new RegExp(`(?:${re.source})$`, `${re.flags}y`).exec(pyCheckString(s, 'fullmatch')));
+  },
+  search: ([pattern, s, flags = 0]) => pyMatch(pyRegExp(pattern, flags).exec(pyCheckString(s, 'search'))),
+  findall: ([pattern, s, flags = 0]) => [...pyCheckString(s, 'findall').matchAll(pyRegExp(pattern, flags, 'g'))].map(m => (
+    m.length === 1 ? m[0] : m.length === 2 ? m[1] ?? '' : m.slice(1).map(g => g ?? '')
+  )),
+  sub: ([pattern, repl, s, count = 0, flags = 0], kwargs, ctx) => {
+    let done = 0;
+    const limit = kwargs.count ?? count;
+    return pyCheckString(s, 'sub').replace(pyRegExp(pattern, kwargs.flags ?? flags, 'g'), (...found) => {
+      const groupsObj = typeof found[found.length - 1] === 'object' ? found.pop() : undefined;
+      const m = Object.assign(found.slice(0, -2), { index: found[found.length - 2], groups: groupsObj });
+      if (limit > 0 && done >= limit) return m[0];
+      done++;
+      return typeof repl === 'string' ? pyExpandTemplate(repl, m) : pyStr(pyCall(repl, [pyMatch(m)], {}, ctx));
+    });
+  },
+  split: ([pattern, s, maxsplit = 0, flags = 0]) => {
+    const str = pyCheckString(s, 'split');
+    const re = pyRegExp(pattern, flags, 'g');
+    const parts = [];
+    let last = 0, m;
+    while ((m = re.exec(str)) && (maxsplit <= 0 || parts.length / Math.max(1, m.length) < maxsplit)) {
+      if (m[0] === '') { re.lastIndex++; continue; }
+      parts.push(str.slice(last, m.index), ...m.slice(1).map(g => g ?? null));
+      last = m.index + m[0].length;
+    }
+    parts.push(str.slice(last));
+    return parts;
+  },
+  escape: ([s]) => pyCheckString(s, 'escape').replace(/[.*+?^${}()|[\]\\\-/ ]/g, '\\$&'),
+  compile: ([pattern, flags = 0]) => ({ [PY_KIND]: 'pattern', pattern, flags }),
+};
+
+const pyModule = (name, members) => ({ [PY_KIND]: 'module', name, members });
+const PY_MODULES = {
+  re: pyModule('re', {
+    ...Object.fromEntries(Object.entries(PY_RE_FUNCTIONS).map(([n, fn]) => [n, pyNative(n, fn)])),
+    I: 2, IGNORECASE: 2, M: 8, MULTILINE: 8, S: 16, DOTALL: 16, error: { [PY_KIND]: 'exctype', name: 're.error' },
+  }),
+  math: pyModule('math', {
+    floor: pyNative('floor', ([x]) => Math.floor(x)),
+    ceil: pyNative('ceil', ([x]) => Math.ceil(x)),
+    trunc: pyNative('trunc', ([x]) => Math.trunc(x)),
+    sqrt: pyNative('sqrt', ([x]) => {
+      if (x < 0) throw pyError('ValueError', 'math domain error');
+      return Math.sqrt(x);
+    }),
+    pow: pyNative('pow', ([x, y]) => x ** y),
+    fabs: pyNative('fabs', ([x]) => Math.abs(x)),
+    log: pyNative('log', ([x, base]) => (base == null ? Math.log(x) : Math.log(x) / Math.log(base))),
+    isnan: pyNative('isnan', ([x]) => Number.isNaN(x)),
+    pi: Math.PI,
+    e: Math.E,
+  }),
+};
+
+const pyRange = (args, ctx) => {
+  const [start, stop, step = 1] = args.length === 1 ? [0, args[0]] : args;
+  if (step === 0) throw pyError('ValueError', 'range() arg 3 must not be zero');
+  const out = [];
+  for (let i = start; step > 0 ? i < stop : i > stop; i += step) {
+    pyTick(ctx);
+    out.push(i);
+  }
+  return out;
+};
+
+const pyMinMax = (name, sign) => pyNative(name, (args, kwargs, ctx) => {
+  const items = args.length === 1 ? [...pyIterate(args[0])] : args;
+  if (!items.length) {
+    if ('default' in kwargs) return kwargs.default;
+    throw pyError('ValueError', `${name}() arg is an empty sequence`);
+  }
+  const keyOf = (v) => (kwargs.key != null ? pyCall(kwargs.key, [v], {}, ctx) : v);
+  return items.reduce((best, v) => ((pyOrder(keyOf(v), keyOf(best)) ?? 0) * sign > 0 ? v : best));
+});
+
+const pyIsInstance = (v, types) => (Array.isArray(types) ? types : [types]).some(t => {
+  const name = t?.pyName;
+  const actual = pyTypeName(v);
+  if (name === 'int') return actual === 'int' || actual === 'bool';
+  if (name === 'float') return typeof v === 'number';
+  if (name === 'tuple') return actual === 'list';
+  if (t?.[PY_KIND] === 'exctype') return v?.[PY_KIND] === 'exception' && pyExceptionMatches(v.type, t.name);
+  return name === actual;
+});
+
+const PY_BUILTINS = {
+  len: pyNative('len', ([v]) => {
+    if (typeof v === 'string' || Array.isArray(v)) return v.length;
+    if (isPyDict(v)) return Object.keys(v).length;
+    throw pyError('TypeError', `object of type '${pyTypeName(v)}' has no len()`);
+  }),
+  str: pyNative('str', ([v = '']) => pyStr(v)),
+  repr: pyNative('repr', ([v]) => pyRepr(v)),
+  int: pyNative('int', ([v = 0, base = 10]) => {
+    if (typeof v === 'string') {
+      const text = v.trim().replace(/_/g, '');
+      const valid = base === 10 ? /^[+-]?\d+$/ : base === 16 ? /^[+-]?(0x)?[\da-f]+$/i : /^[+-]?[\da-z]+$/i;
+      if (!valid.test(text)) throw pyError('ValueError', `invalid literal for int() with base ${base}: ${pyRepr(v)}`);
+      return parseInt(text, base);
+    }
+    if (typeof v === 'number' || typeof v === 'boolean') return Math.trunc(+v);
+    throw pyError('TypeError', `int() argument must be a string or a number, not '${pyTypeName(v)}'`);
+  }),
+  float: pyNative('float', ([v = 0]) => {
+    if (typeof v === 'string') {
+      const text = v.trim().toLowerCase();
+      if (/^[+-]?(inf|infinity)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+      if (text === 'nan') return NaN;
+      if (!/^[+-]?(\d[\d_]*\.?\d*|\.\d+)(e[+-]?\d+)?$/.test(text)) throw pyError('ValueError', `could not convert string to float: ${pyRepr(v)}`);
+      return Number(text.replace(/_/g, ''));
+    }
+    if (typeof v === 'number' || typeof v === 'boolean') return +v;
+    throw pyError('TypeError', `float() argument must be a string or a number, not '${pyTypeName(v)}'`);
+  }),
+  bool: pyNative('bool', ([v]) => pyTruthy(v)),
+  list: pyNative('list', ([v]) => (v === undefined ? [] : [...pyIterate(v)])),
+  tuple: pyNative('tuple', ([v]) => (v === undefined ? [] : [...pyIterate(v)])),
+  dict: pyNative('dict', ([v], kwargs) => ({ ...pyToDict(v), ...kwargs })),
+  set: pyNative('set', ([v]) => pyIterate(v ?? []).filter((x, i, all) => all.findIndex(y => pyEquals(x, y)) === i)),
+  abs: pyNative('abs', ([x]) => Math.abs(x)),
+  min: pyMinMax('min', -1),
+  max: pyMinMax('max', 1),
+  sum: pyNative('sum', ([items, start = 0]) => pyIterate(items).reduce((acc, v) => pyBinOp('+', acc, v), start)),
+  round: pyNative('round', ([x, digits]) => {
+    if (digits == null) return pyRoundHalfEven(x);
+    const factor = 10 ** digits;
+    return pyRoundHalfEven(x * factor) / factor;
+  }),
+  sorted: pyNative('sorted', ([items], kwargs, ctx) => pySortInPlace([...pyIterate(items)], kwargs, ctx)),
+  reversed: pyNative('reversed', ([items]) => [...pyIterate(items)].reverse()),
+  range: pyNative('range', (args, kwargs, ctx) => pyRange(args, ctx)),
+  enumerate: pyNative('enumerate', ([items, start = 0], kwargs) => pyIterate(items).map((v, i) => [i + (kwargs.start ?? start), v])),
+  zip: pyNative('zip', (args) => {
+    const lists = args.map(pyIterate);
+    return lists.length ? lists[0].slice(0, Math.min(...lists.map(l => l.length))).map((v, i) => lists.map(l => l[i])) : [];
+  }),
+  map: pyNative('map', ([fn, ...lists], kwargs, ctx) => {
+    const iters = lists.map(pyIterate);
+    return iters[0].slice(0, Math.min(...iters.map(l => l.length))).map((v, i) => pyCall(fn, iters.map(l => l[i]), {}, ctx));
+  }),
+  filter: pyNative('filter', ([fn, items], kwargs, ctx) => pyIterate(items).filter(v => pyTruthy(fn == null ? v : pyCall(fn, [v], {}, ctx)))),
+  any: pyNative('any', ([items]) => pyIterate(items).some(pyTruthy)),
+  all: pyNative('all', ([items]) => pyIterate(items).every(pyTruthy)),
+  isinstance: pyNative('isinstance', ([v, types]) => pyIsInstance(v, types)),
+  getattr: pyNative('getattr', (args) => {
+    const v = pyGetAttr(args[0], args[1]);
+    return v == null && args.length > 2 ? args[2] : v;
+  }),
+  hasattr: pyNative('hasattr', ([v, name]) => pyGetAttr(v, name) != null),
+  chr: pyNative('chr', ([n]) => String.fromCodePoint(n)),
+  ord: pyNative('ord', ([s]) => pyCheckString(s, 'ord').codePointAt(0)),
+  print: pyNative('print', () => null), // the runner only returns OUTPUT
+  ...PY_EXCEPTION_TYPES,
+  re: PY_MODULES.re,
+  math: PY_MODULES.math,
+  // Grizzly builtin registered functions (BUILTIN_REG_FUNCTIONS)
+  now: pyNative('now', () => new Date()),
+  formatDate: pyNative('formatDate', ([value, pattern = 'yyyy-MM-dd']) => (
+    value == null || value === '' ? null : formatJavaDate(toPyDate(value, 'formatDate'), pyCheckString(pattern, 'formatDate'))
+  )),
+  concat: pyNative('concat', ([separator, ...values]) => values.filter(v => v != null && v !== '').map(pyStr).join(pyStr(separator ?? ''))),
+};
+
+const pyTick = (ctx) => {
+  if (++ctx.steps > ctx.maxSteps) throw Object.assign(pyError('TimeoutError', `stopped after ${ctx.maxSteps} steps — is there an endless loop?`), { fatal: true });
+};
+
+const pyBound = (fn, self, name) => pyNative(name, (args, kwargs, ctx) => fn(self, args, kwargs, ctx));
+
+const pyGetAttr = (v, name) => {
+  if (v == null) return null; // dialect: navigating through None yields None
+  if (Array.isArray(v)) {
+    if (Object.hasOwn(PY_LIST_METHODS, name)) return pyBound(PY_LIST_METHODS[name], v, name);
+    return v.map(item => pyGetAttr(item, name)); // projection: orders.id → every order's id
+  }
+  if (typeof v === 'string') {
+    if (Object.hasOwn(PY_STR_METHODS, name)) return pyBound(PY_STR_METHODS[name], v, name);
+  } else if (v instanceof Date) {
+    if (Object.hasOwn(PY_DATE_FIELDS, name)) return PY_DATE_FIELDS[name](v);
+    if (Object.hasOwn(PY_DATE_METHODS, name)) return pyBound(PY_DATE_METHODS[name], v, name);
+  } else if (isPyDict(v)) {
+    if (Object.hasOwn(v, name)) return v[name];
+    if (Object.hasOwn(PY_DICT_METHODS, name)) return pyBound(PY_DICT_METHODS[name], v, name);
+    return null; // dialect: a missing key reads as None
+  } else if (v[PY_KIND] === 'module') {
+    if (Object.hasOwn(v.members, name)) return v.members[name];
+  } else if (v[PY_KIND] === 'pattern') {
+    if (Object.hasOwn(PY_RE_FUNCTIONS, name)) return pyNative(name, ([s, ...rest], kwargs, ctx) => PY_RE_FUNCTIONS[name]([v, s, ...rest], kwargs, ctx));
+    if (name === 'pattern') return v.pattern;
+  } else if (v[PY_KIND] === 'match') {
+    if (Object.hasOwn(PY_MATCH_METHODS, name)) return pyBound(PY_MATCH_METHODS[name], v, name);
+  } else if (v[PY_KIND] === 'exception') {
+    if (name === 'args') return [v.message];
+  }
+  throw pyError('AttributeError', `'${pyTypeName(v)}' object has no attribute '${name}'`);
+};
+
+const pyIndex = (seq, key) => {
+  const i = typeof key === 'boolean' ? +key : key;
+  if (typeof i !== 'number' || !Number.isInteger(i)) throw pyError('TypeError', `${pyTypeName(seq)} indices must be integers, not ${pyTypeName(key)}`);
+  return i < 0 ? seq.length + i : i;
+};
+
+const pyGetItem = (v, key) => {
+  if (v == null) return null;
+  if (Array.isArray(v) || typeof v === 'string') return v[pyIndex(v, key)] ?? null; // dialect: out of range reads as None
+  if (isPyDict(v)) return Object.hasOwn(v, pyDictKey(key)) ? v[pyDictKey(key)] : null;
+  if (v[PY_KIND] === 'match') return pyMatchGroup(v.m, key);
+  throw pyError('TypeError', `'${pyTypeName(v)}' object is not subscriptable`);
+};
+
+const pySlice = (v, lower, upper, step) => {
+  if (v == null) return null;
+  if (!Array.isArray(v) && typeof v !== 'string') throw pyError('TypeError', `'${pyTypeName(v)}' object is not subscriptable`);
+  const st = step ?? 1;
+  if (st === 0) throw pyError('ValueError', 'slice step cannot be zero');
+  const len = v.length;
+  const clamp = (i, fallback) => {
+    if (i == null) return fallback;
+    if (i < 0) return Math.max(i + len, st < 0 ? -1 : 0);
+    return Math.min(i, st < 0 ? len - 1 : len);
+  };
+  const start = clamp(lower, st > 0 ? 0 : len - 1);
+  const stop = clamp(upper, st > 0 ? len : -1);
+  const out = [];
+  for (let i = start; st > 0 ? i < stop : i > stop; i += st) out.push(v[i]);
+  return typeof v === 'string' ? out.join('') : out;
+};
+
+const pySetItem = (target, key, value) => {
+  if (Array.isArray(target)) {
+    const i = pyIndex(target, key);
+    if (i < 0 || i >= target.length) throw pyError('IndexError', 'list assignment index out of range');
+    target[i] = value;
+  } else if (isPyDict(target)) {
+    target[pyDictKey(key)] = value;
+  } else {
+    throw pyError('TypeError', `'${pyTypeName(target)}' object does not support item assignment`);
+  }
+};
+
+const pyBinOp = (op, a, b) => {
+  const numeric = (x) => typeof x === 'number' || typeof x === 'boolean';
+  const bothNumbers = numeric(a) && numeric(b);
+  switch (op) {
+    case '+':
+      if (bothNumbers) return +a + +b;
+      if (typeof a === 'string' && typeof b === 'string') return a + b;
+      if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+      break;
+    case '-': if (bothNumbers) return a - b; break;
+    case '*':
+      if (bothNumbers) return a * b;
+      if ((typeof a === 'string' || Array.isArray(a)) && numeric(b)) return Array.isArray(a) ? Array.from({ length: Math.max(0, b) }, () => a).flat() : a.repeat(Math.max(0, b));
+      if (numeric(a) && (typeof b === 'string' || Array.isArray(b))) return pyBinOp('*', b, a);
+      break;
+    case '/': case '//': case '%':
+      if (typeof a === 'string' && op === '%') return pyPercentFormat(a, b);
+      if (!bothNumbers) break;
+      if (+b === 0) throw pyError('ZeroDivisionError', op === '%' ? 'integer modulo by zero' : 'division by zero');
+      return op === '/' ? a / b : op === '//' ? Math.floor(a / b) : pyFloorMod(+a, +b);
+    case '**': if (bothNumbers) return (+a) ** (+b); break;
+    case '|':
+      if (isPyDict(a) && isPyDict(b)) return { ...a, ...b };
+      if (bothNumbers) return a | b;
+      break;
+    case '&': if (bothNumbers) return a & b; break;
+    case '^': if (bothNumbers) return a ^ b; break;
+    case '<<': if (bothNumbers) return a << b; break;
+    case '>>': if (bothNumbers) return a >> b; break;
+    default: break;
+  }
+  throw pyError('TypeError', `unsupported operand type(s) for ${op}: '${pyTypeName(a)}' and '${pyTypeName(b)}'`);
+};
+
+const pyCompare = (op, a, b) => {
+  switch (op) {
+    case '==': return pyEquals(a, b);
+    case '!=': return !pyEquals(a, b);
+    case 'in': return pyContains(b, a);
+    case 'not in': return !pyContains(b, a);
+    case 'is': return a === b || (a == null && b == null);
+    case 'is not': return !(a === b || (a == null && b == null));
+    default: {
+      const order = pyOrder(a, b);
+      if (order == null) return false; // dialect: None never orders
+      return op === '<' ? order < 0 : op === '>' ? order > 0 : op === '<=' ? order <= 0 : order >= 0;
+    }
+  }
+};
+
+// ── Evaluator ──
+const createPyScope = (parent) => ({ vars: new Map(), parent, globalNames: null });
+
+const pyLookup = (scope, id) => {
+  for (let s = scope; s; s = s.parent) if (s.vars.has(id)) return s.vars.get(id);
+  if (Object.hasOwn(PY_BUILTINS, id)) return PY_BUILTINS[id];
+  throw pyError('NameError', `name '${id}' is not defined`);
+};
+
+const pySetVar = (scope, id, value) => {
+  let target = scope;
+  if (scope.globalNames?.has(id)) while (target.parent) target = target.parent;
+  target.vars.set(id, value);
+};
+
+const pyCall = (fn, args, kwargs, ctx) => {
+  if (typeof fn === 'function') return fn(args, kwargs, ctx);
+  if (fn?.[PY_KIND] === 'exctype') return pyException(fn.name, args[0]);
+  if (fn?.[PY_KIND] !== 'function') throw pyError('TypeError', `'${pyTypeName(fn)}' object is not callable`);
+  if (ctx.depth >= PY_MAX_DEPTH) throw pyError('RecursionError', 'maximum recursion depth exceeded');
+  const scope = createPyScope(fn.scope);
+  const rest = { ...kwargs };
+  let ai = 0;
+  fn.params.forEach(p => {
+    if (p.star === '*') {
+      if (p.name) scope.vars.set(p.name, args.slice(ai));
+      ai = args.length;
+    } else if (p.star === '**') {
+      scope.vars.set(p.name, { ...rest });
+      Object.keys(rest).forEach(k => delete rest[k]);
+    } else if (ai < args.length) {
+      scope.vars.set(p.name, args[ai++]);
+    } else if (Object.hasOwn(rest, p.name)) {
+      scope.vars.set(p.name, rest[p.name]);
+      delete rest[p.name];
+    } else if (p.default !== undefined) {
+      scope.vars.set(p.name, p.default);
+    } else {
+      throw pyError('TypeError', `${fn.name}() missing required argument: '${p.name}'`);
+    }
+  });
+  if (ai < args.length) throw pyError('TypeError', `${fn.name}() takes ${fn.params.length} positional arguments but ${args.length} were given`);
+  const unexpected = Object.keys(rest)[0];
+  if (unexpected) throw pyError('TypeError', `${fn.name}() got an unexpected keyword argument '${unexpected}'`);
+  ctx.depth++;
+  try {
+    const result = pyExecBlock(fn.body, scope, ctx);
+    return result?.type === 'return' ? result.value : null;
+  } finally {
+    ctx.depth--;
+  }
+};
+
+const pyMakeFunction = (name, params, body, scope, ctx) => ({
+  [PY_KIND]: 'function',
+  name,
+  params: params.map(p => ({ ...p, default: p.default ? pyEval(p.default, scope, ctx) : undefined })),
+  body,
+  scope,
+});
+
+const pyAssign = (target, value, scope, ctx) => {
+  switch (target.k) {
+    case 'Name': pySetVar(scope, target.id, value); return;
+    case 'Tuple': case 'List': {
+      const items = [...pyIterate(value)];
+      if (items.length !== target.elts.length) {
+        throw pyError('ValueError', items.length > target.elts.length ? `too many values to unpack (expected ${target.elts.length})` : `not enough values to unpack (expected ${target.elts.length}, got ${items.length})`);
+      }
+      target.elts.forEach((t, i) => pyAssign(t, items[i], scope, ctx));
+      return;
+    }
+    case 'Subscript': pySetItem(pyEval(target.value, scope, ctx), pyEval(target.index, scope, ctx), value); return;
+    case 'Attribute': {
+      const obj = pyEval(target.value, scope, ctx);
+      if (!isPyDict(obj)) throw pyError('AttributeError', `'${pyTypeName(obj)}' object has no attribute '${target.attr}'`);
+      obj[target.attr] = value;
+      return;
+    }
+    default: throw pyError('SyntaxError', 'cannot assign to expression', target.line);
+  }
+};
+
+const pyEvalItems = (nodes, scope, ctx) => nodes.flatMap(n => (n.k === 'Starred' ? [...pyIterate(pyEval(n.value, scope, ctx))] : [pyEval(n, scope, ctx)]));
+
+const pyEval = (node, scope, ctx) => {
+  switch (node.k) {
+    case 'Const': return node.value;
+    case 'Name': return pyLookup(scope, node.id);
+    case 'FString': return node.parts.map(p => {
+      if (typeof p === 'string') return p;
+      const v = pyEval(p.expr, scope, ctx);
+      return pyFormat(p.conversion === 'r' ? pyRepr(v) : p.conversion === 's' ? pyStr(v) : v, p.spec);
+    }).join('');
+    case 'List': case 'Tuple': return pyEvalItems(node.elts, scope, ctx);
+    case 'Set': return pyEvalItems(node.elts, scope, ctx).filter((x, i, all) => all.findIndex(y => pyEquals(x, y)) === i);
+    case 'Dict': {
+      const out = {};
+      node.keys.forEach((k, i) => {
+        if (k === null) Object.assign(out, pyToDict(pyEval(node.values[i], scope, ctx)));
+        else out[pyDictKey(pyEval(k, scope, ctx))] = pyEval(node.values[i], scope, ctx);
+      });
+      return out;
+    }
+    case 'BoolOp': {
+      const left = pyEval(node.left, scope, ctx);
+      if (node.op === 'and' ? !pyTruthy(left) : pyTruthy(left)) return left;
+      return pyEval(node.right, scope, ctx);
+    }
+    case 'Not': return !pyTruthy(pyEval(node.operand, scope, ctx));
+    case 'UnaryOp': {
+      const v = pyEval(node.operand, scope, ctx);
+      if (typeof v !== 'number' && typeof v !== 'boolean') throw pyError('TypeError', `bad operand type for unary ${node.op}: '${pyTypeName(v)}'`);
+      return node.op === '-' ? -v : node.op === '+' ? +v : ~v;
+    }
+    case 'BinOp': return pyBinOp(node.op, pyEval(node.left, scope, ctx), pyEval(node.right, scope, ctx));
+    case 'Compare': {
+      let left = pyEval(node.left, scope, ctx);
+      for (let i = 0; i < node.ops.length; i++) {
+        const right = pyEval(node.comparators[i], scope, ctx);
+        if (!pyCompare(node.ops[i], left, right)) return false;
+        left = right;
+      }
+      return true;
+    }
+    case 'IfExp': {
+      const test = pyTruthy(pyEval(node.test, scope, ctx));
+      ctx.ternaries?.push({ line: node.line, taken: test ? 'if' : 'else' });
+      return test ? pyEval(node.body, scope, ctx) : pyEval(node.orelse, scope, ctx);
+    }
+    case 'Attribute': return pyGetAttr(pyEval(node.value, scope, ctx), node.attr);
+    case 'Project': return pyEval(node.value, scope, ctx);
+    case 'Subscript': {
+      const v = pyEval(node.value, scope, ctx);
+      const { index } = node;
+      if (index.k === 'Slice') {
+        const bound = (n) => (n ? pyEval(n, scope, ctx) : null);
+        return pySlice(v, bound(index.lower), bound(index.upper), bound(index.step));
+      }
+      return pyGetItem(v, pyEval(index, scope, ctx));
+    }
+    case 'Call': {
+      // x?.strip() on a missing x is None rather than a call on None
+      if (node.func.k === 'Attribute' && node.func.safe) {
+        const obj = pyEval(node.func.value, scope, ctx);
+        if (obj == null) return null;
+        return pyCallNode(node, pyGetAttr(obj, node.func.attr), scope, ctx);
+      }
+      return pyCallNode(node, pyEval(node.func, scope, ctx), scope, ctx);
+    }
+    case 'Lambda': return pyMakeFunction('<lambda>', node.params, [{ k: 'Return', value: node.body, line: node.line }], scope, ctx);
+    case 'Comp': return pyEvalComprehension(node, scope, ctx);
+    case 'Starred': throw pyError('SyntaxError', "can't use starred expression here", node.line);
+    case 'Slice': throw pyError('SyntaxError', 'slice outside of []', node.line);
+    default: throw pyError('SyntaxError', `unsupported expression ${node.k}`, node.line);
+  }
+};
+
+const pyCallNode = (node, fn, scope, ctx) => {
+  const args = pyEvalItems(node.args, scope, ctx);
+  const kwargs = {};
+  node.keywords.forEach(({ name, value }) => {
+    const v = pyEval(value, scope, ctx);
+    if (name === null) Object.assign(kwargs, pyToDict(v));
+    else kwargs[name] = v;
+  });
+  return pyCall(fn, args, kwargs, ctx);
+};
+
+const pyEvalComprehension = (node, scope, ctx) => {
+  const inner = createPyScope(scope);
+  const items = [];
+  const dict = {};
+  const loop = (gi) => {
+    if (gi === node.generators.length) {
+      if (node.kind === 'dict') dict[pyDictKey(pyEval(node.key, inner, ctx))] = pyEval(node.elt, inner, ctx);
+      else items.push(pyEval(node.elt, inner, ctx));
+      return;
+    }
+    const { target, iter, ifs } = node.generators[gi];
+    for (const item of pyIterate(pyEval(iter, gi === 0 ? scope : inner, ctx))) {
+      pyTick(ctx);
+      pyAssign(target, item, inner, ctx);
+      if (ifs.every(test => pyTruthy(pyEval(test, inner, ctx)))) loop(gi + 1);
+    }
+  };
+  loop(0);
+  if (node.kind === 'dict') return dict;
+  return node.kind === 'set' ? items.filter((x, i) => items.findIndex(y => pyEquals(x, y)) === i) : items;
+};
+
+// Runs statements; returns a { type: 'return' | 'break' | 'continue' } completion or null
+const pyExecBlock = (body, scope, ctx) => {
+  for (const stmt of body) {
+    const completion = pyExec(stmt, scope, ctx);
+    if (completion) return completion;
+  }
+  return null;
+};
+
+// Expression statements and assignments — the statements that can write OUTPUT
+const pyExecSimple = (stmt, scope, ctx) => {
+  if (stmt.k === 'Expr') {
+    pyEval(stmt.value, scope, ctx);
+  } else if (stmt.k === 'Assign') {
+    const value = pyEval(stmt.value, scope, ctx);
+    stmt.targets.forEach(t => pyAssign(t, value, scope, ctx));
+  } else {
+    pyAssign(stmt.target, pyBinOp(stmt.op, pyEval(stmt.target, scope, ctx), pyEval(stmt.value, scope, ctx)), scope, ctx);
+  }
+};
+
+const pyExec = (stmt, scope, ctx) => {
+  pyTick(ctx);
+  ctx.line = stmt.line;
+  switch (stmt.k) {
+    case 'Expr': case 'Assign': case 'AugAssign':
+      if (ctx.trace) pyExecTraced(stmt, scope, ctx);
+      else pyExecSimple(stmt, scope, ctx);
+      return null;
+    case 'Pass': return null;
+    case 'Break': return { type: 'break' };
+    case 'Continue': return { type: 'continue' };
+    case 'Return': return { type: 'return', value: stmt.value ? pyEval(stmt.value, scope, ctx) : null };
+    case 'If': {
+      let taken = -1;
+      for (let i = 0; i < stmt.branches.length && taken < 0; i++) {
+        ctx.line = stmt.branches[i].line;
+        if (pyTruthy(pyEval(stmt.branches[i].test, scope, ctx))) taken = i;
+      }
+      const branch = taken >= 0 ? stmt.branches[taken] : stmt.orelse;
+      if (!branch) return null;
+      if (!ctx.trace) return pyExecBlock(branch.body, scope, ctx);
+      ctx.branches.push({ line: branch.line, label: taken < 0 ? 'else' : taken === 0 ? 'if' : 'elif', source: pyTraceSource(ctx, branch.line, branch.line) });
+      try {
+        return pyExecBlock(branch.body, scope, ctx);
+      } finally {
+        ctx.branches.pop();
+      }
+    }
+    case 'For': case 'While': {
+      const items = stmt.k === 'For' ? pyIterate(pyEval(stmt.iter, scope, ctx)) : null;
+      for (let i = 0; stmt.k === 'For' ? i < items.length : pyTruthy(pyEval(stmt.test, scope, ctx)); i++) {
+        pyTick(ctx);
+        if (items) pyAssign(stmt.target, items[i], scope, ctx);
+        const completion = pyExecBlock(stmt.body, scope, ctx);
+        if (completion?.type === 'break') return null;
+        if (completion?.type === 'return') return completion;
+      }
+      return pyExecBlock(stmt.orelse, scope, ctx);
+    }
+    case 'Def': pySetVar(scope, stmt.name, pyMakeFunction(stmt.name, stmt.params, stmt.body, scope, ctx)); return null;
+    case 'Global':
+      scope.globalNames = new Set([...(scope.globalNames || []), ...stmt.names]);
+      return null;
+    case 'Delete':
+      stmt.targets.forEach(t => {
+        if (t.k === 'Name') { scope.vars.delete(t.id); return; }
+        if (t.k !== 'Subscript') throw pyError('SyntaxError', 'cannot delete attribute', stmt.line);
+        const obj = pyEval(t.value, scope, ctx);
+        const key = pyEval(t.index, scope, ctx);
+        if (Array.isArray(obj)) obj.splice(pyIndex(obj, key), 1);
+        else if (isPyDict(obj)) delete obj[pyDictKey(key)];
+      });
+      return null;
+    case 'Assert':
+      if (!pyTruthy(pyEval(stmt.test, scope, ctx))) throw pyError('AssertionError', stmt.msg ? pyStr(pyEval(stmt.msg, scope, ctx)) : '');
+      return null;
+    case 'Import':
+      stmt.names.forEach(({ module, asName }) => {
+        if (!PY_MODULES[module]) throw pyUnsupported(`import ${module}`, stmt.line);
+        pySetVar(scope, asName, PY_MODULES[module]);
+      });
+      return null;
+    case 'ImportFrom': {
+      const mod = PY_MODULES[stmt.module];
+      if (!mod) throw pyUnsupported(`import from ${stmt.module}`, stmt.line);
+      stmt.names.forEach(({ member, asName }) => {
+        if (member === '*') Object.entries(mod.members).forEach(([n, v]) => pySetVar(scope, n, v));
+        else if (!Object.hasOwn(mod.members, member)) throw pyUnsupported(`${stmt.module}.${member}`, stmt.line);
+        else pySetVar(scope, asName, mod.members[member]);
+      });
+      return null;
+    }
+    case 'Raise': {
+      if (!stmt.exc) {
+        if (!ctx.handling) throw pyError('RuntimeError', 'No active exception to reraise');
+        throw ctx.handling;
+      }
+      let exc = pyEval(stmt.exc, scope, ctx);
+      if (exc?.[PY_KIND] === 'exctype') exc = pyException(exc.name);
+      if (exc?.[PY_KIND] !== 'exception') throw pyError('TypeError', 'exceptions must derive from BaseException');
+      throw pyError(exc.type, exc.message);
+    }
+    case 'Try': return pyExecTry(stmt, scope, ctx);
+    default: throw pyError('SyntaxError', `unsupported statement ${stmt.k}`, stmt.line);
+  }
+};
+
+const pyExecTry = (stmt, scope, ctx) => {
+  let completion = null;
+  try {
+    let failure = null;
+    try {
+      completion = pyExecBlock(stmt.body, scope, ctx);
+    } catch (err) {
+      if (err.fatal || !stmt.handlers.length) throw err;
+      failure = err;
+    }
+    if (failure) completion = pyHandleException(stmt, failure, scope, ctx);
+    else if (!completion) completion = pyExecBlock(stmt.orelse, scope, ctx);
+  } finally {
+    const finalCompletion = pyExecBlock(stmt.finalbody, scope, ctx);
+    if (finalCompletion) completion = finalCompletion;
+  }
+  return completion;
+};
+
+const pyHandleException = (stmt, err, scope, ctx) => {
+  const type = err.pyType || 'RuntimeError';
+  const handler = stmt.handlers.find(h => {
+    if (!h.type) return true;
+    const wanted = pyEval(h.type, scope, ctx);
+    return (Array.isArray(wanted) ? wanted : [wanted]).some(w => w?.[PY_KIND] === 'exctype' && pyExceptionMatches(type, w.name));
+  });
+  if (!handler) throw err;
+  if (handler.name) pySetVar(scope, handler.name, pyException(type, err.pyMessage ?? err.message));
+  const outer = ctx.handling;
+  ctx.handling = err;
+  try {
+    return pyExecBlock(handler.body, scope, ctx);
+  } finally {
+    ctx.handling = outer;
+  }
+};
+
+// ── Trace mode ──
+// Every statement that writes OUTPUT adds one entry per field it wrote: the path in
+// getItemPaths form (output.items.sku), the value, the source that built it, the if/elif/else
+// branches it ran under, ternary outcomes inside it and the local variables at that point.
+const pyTraceSource = (ctx, line, endLine) => {
+  const text = ctx.sourceLines.slice(line - 1, endLine).map(l => l.trim()).join(' ').replace(/,$/, '');
+  return text.length > 240 ? `${text.slice(0, 237)}...` : text;
+};
+
+const pyNodeEndLine = (node) => {
+  if (Array.isArray(node)) return Math.max(0, ...node.map(pyNodeEndLine));
+  if (!node || typeof node !== 'object') return 0;
+  return Math.max(node.line || 0, ...Object.values(node).map(pyNodeEndLine));
+};
+
+// OUTPUT["a"]["b"] / OUTPUT.a → ['a', 'b']; null when the target isn't under OUTPUT
+const pyOutputKeys = (node, scope, ctx) => {
+  if (node.k === 'Name') return node.id === 'OUTPUT' ? [] : null;
+  const base = node.k === 'Attribute' || (node.k === 'Subscript' && node.index.k !== 'Slice') ? pyOutputKeys(node.value, scope, ctx) : null;
+  if (!base) return null;
+  return [...base, node.k === 'Attribute' ? node.attr : pyEval(node.index, scope, ctx)];
+};
+
+// Leaf fields of a written value, each paired with the part of the expression that built it
+const pyTraceLeaves = (value, path, node, out) => {
+  const inner = node?.k === 'Comp' ? node.elt : node;
+  const child = (key) => {
+    const i = inner?.k === 'Dict' ? inner.keys.findIndex(kn => kn?.k === 'Const' && pyDictKey(kn.value) === key) : -1;
+    return i >= 0 ? inner.values[i] : node;
+  };
+  if (isPyDict(value) && Object.keys(value).length) {
+    Object.entries(value).forEach(([k, v]) => pyTraceLeaves(v, `${path}.${k}`, child(k), out));
+  } else if (Array.isArray(value) && value.some(isPyDict)) {
+    const keys = [...new Set(value.filter(isPyDict).flatMap(el => Object.keys(el)))];
+    keys.forEach(k => pyTraceLeaves(value.map(el => (isPyDict(el) && Object.hasOwn(el, k) ? el[k] : null)), `${path}.${k}`, child(k), out));
+  } else {
+    out.push({ path, value, node });
+  }
+  return out;
+};
+
+const pyTraceVars = (scope) => {
+  const vars = {};
+  scope.vars.forEach((v, name) => {
+    if (name === 'INPUT' || name === 'OUTPUT' || typeof v === 'function' || v?.[PY_KIND]) return;
+    const text = pyRepr(v);
+    vars[name] = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  });
+  return vars;
+};
+
+const pyExecTraced = (stmt, scope, ctx) => {
+  const outer = ctx.ternaries;
+  ctx.ternaries = [];
+  try {
+    pyExecSimple(stmt, scope, ctx);
+    const targets = stmt.k === 'Assign' ? stmt.targets
+      : stmt.k === 'AugAssign' ? [stmt.target]
+      : stmt.value.k === 'Call' && stmt.value.func.k === 'Attribute' ? [stmt.value.func.value] // OUTPUT["xs"].append(…)
+      : [];
+    targets.forEach(target => {
+      const keys = pyOutputKeys(target, scope, ctx);
+      if (!keys) return;
+      const written = keys.reduce((v, k) => pyGetItem(v, k), pyLookup(scope, 'OUTPUT'));
+      if (!keys.length && isPyDict(written) && !Object.keys(written).length) return; // OUTPUT = {}
+      const path = ['output', ...keys.filter(k => typeof k === 'string')].join('.');
+      const vars = pyTraceVars(scope);
+      const branches = ctx.branches.map(b => ({ ...b }));
+      pyTraceLeaves(written, path, stmt.k === 'Assign' ? stmt.value : null, []).forEach(leaf => {
+        if (ctx.trace.length >= PY_MAX_TRACE) return;
+        const whole = !leaf.node || leaf.node === stmt.value;
+        const line = whole ? stmt.line : leaf.node.line;
+        const endLine = whole ? stmt.endLine ?? stmt.line : pyNodeEndLine(leaf.node);
+        const ternaries = {};
+        ctx.ternaries.filter(t => t.line >= line && t.line <= endLine).forEach(t => {
+          const key = `${t.line}:${t.taken}`;
+          ternaries[key] = { ...t, count: (ternaries[key]?.count || 0) + 1 };
+        });
+        ctx.trace.push({
+          path: leaf.path,
+          value: toJsonValue(leaf.value),
+          line,
+          expression: pyTraceSource(ctx, line, endLine),
+          branches,
+          ternaries: Object.values(ternaries),
+          vars,
+        });
+      });
+    });
+  } finally {
+    ctx.ternaries = outer;
+  }
+};
+
+// Plain JSON for the preview: dates print as Python would, functions as their repr
+const toJsonValue = (v) => {
+  if (v == null || typeof v === 'string' || typeof v === 'boolean') return v ?? null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (Array.isArray(v)) return v.map(toJsonValue);
+  if (isPyDict(v)) return Object.fromEntries(Object.entries(v).map(([k, val]) => [k, toJsonValue(val)]));
+  return pyStr(v);
+};
+
+// Runs transform(INPUT) of a template; throws Error('TypeError: … (line 12)') like the engine reports.
+// Pass an array as `trace` to have it filled with trace entries (see Trace mode).
+export const runTemplateInBrowser = (code, input, { maxSteps = PY_MAX_STEPS, trace = null } = {}) => {
+  const ctx = { steps: 0, maxSteps, depth: 0, line: null, handling: null, trace, branches: [], ternaries: null, sourceLines: code.split('\n') };
+  try {
+    const globals = createPyScope(null);
+    globals.vars.set('__name__', 'grizzly_template'); // as in scripts/grizzly_runner.py: a __main__ block stays idle
+    pyExecBlock(parsePython(code), globals, ctx);
+    if (!globals.vars.has('transform')) throw pyError('NameError', 'Template does not define transform(INPUT)');
+    return toJsonValue(pyCall(globals.vars.get('transform'), [JSON.parse(JSON.stringify(input ?? {}))], {}, ctx));
+  } catch (err) {
+    const line = err.line ?? ctx.line;
+    const message = err.pyType ? err.message : `RuntimeError: ${err.message}`;
+    throw Object.assign(new Error(line ? `${message} (line ${line})` : message), { unsupported: !!err.unsupported });
+  }
+};
+
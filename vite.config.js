@@ -1,8 +1,10 @@
 import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
-import { writeFileSync, mkdirSync } from 'node:fs'
-import { dirname } from 'node:path'
+import { writeFileSync, mkdirSync, readFileSync, existsSync, copyFileSync, appendFileSync, realpathSync } from 'node:fs'
+import { dirname, resolve, relative, isAbsolute, extname, join } from 'node:path'
+import { createHash, randomUUID } from 'node:crypto'
+import { spawn } from 'node:child_process'
 
 const providers = {
   anthropic: {
@@ -44,34 +46,338 @@ const providers = {
   },
 }
 
-// Handles POST /api/grizzly/validate-and-save — writes generatedCode to stagingPath (before proxy)
-function grizzlyPublishPlugin() {
+// Publish targets (dev / staging / prod …) live in grizzly.config.json, or the file named by
+// GRIZZLY_CONFIG. The client only picks a target id; directories and file names stay server-side.
+// Every write must land on a .py file inside publishRoot (default: the config file's directory).
+function loadPublishConfig(env, root) {
+  const configPath = resolve(root, env.GRIZZLY_CONFIG || 'grizzly.config.json')
+  if (!existsSync(configPath)) return { publishRoot: root, targets: {} }
+  const { publishRoot = '.', publishTargets = {} } = JSON.parse(readFileSync(configPath, 'utf8'))
+  // Paths in the config are relative to the config file
+  const base = dirname(configPath)
+  return {
+    publishRoot: resolve(base, publishRoot),
+    targets: Object.fromEntries(Object.entries(publishTargets).map(([id, t]) => [id, { ...t, dir: resolve(base, t.dir || '.') }])),
+  }
+}
+
+// File a mapping family publishes to: files[family] wins over the fileName pattern ({family} placeholder)
+function publishFile(target, family) {
+  const name = target.files?.[family] || (target.fileName || '{family}.py').replaceAll('{family}', family)
+  return resolve(target.dir, name)
+}
+
+const sendJson = (res, status, data) => {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(data))
+}
+
+const MAPPING_FAMILY_RE = /^[A-Za-z0-9_-]+$/
+
+const isInside = (dir, path) => {
+  const rel = relative(dir, path)
+  return rel !== '' && !rel.startsWith('..') && !isAbsolute(rel)
+}
+
+// Why a resolved publish file may not be written, or null. Symlinks are followed so a link
+// inside the root cannot point a write outside it.
+function publishPathError(publishRoot, file) {
+  if (extname(file) !== '.py') return `Only .py files can be published: ${file}`
+  if (!isInside(publishRoot, file)) return `Target is outside the publish root: ${file}`
+  if (!existsSync(publishRoot)) return `Publish root does not exist: ${publishRoot}`
+  let existing = file
+  while (!existsSync(existing)) existing = dirname(existing)
+  const realRoot = realpathSync(publishRoot)
+  const realExisting = realpathSync(existing)
+  if (realExisting !== realRoot && !isInside(realRoot, realExisting)) return `Target resolves outside the publish root: ${file}`
+  return null
+}
+
+// Requests that write files or run code only come from the UI this dev server served: a loopback
+// Host, a same-origin (or no) Origin, and the per-session token index.html carries, sent back as
+// X-Grizzly-Session.
+const LOOPBACK_HOST_RE = /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i
+
+const httpError = (status, message) => Object.assign(new Error(message), { status })
+
+// Why a request to a guarded route is refused, or null
+function localRequestError(req, sessionToken) {
+  const { host = '', origin } = req.headers
+  if (!LOOPBACK_HOST_RE.test(host)) return `Host not allowed: ${host}`
+  if (origin && origin !== `http://${host}` && origin !== `https://${host}`) return `Origin not allowed: ${origin}`
+  if (req.headers['x-grizzly-session'] !== sessionToken) return 'Missing or invalid X-Grizzly-Session header — reload the page'
+  return null
+}
+
+const readJson = (req) => new Promise((resolveBody, rejectBody) => {
+  // A cross-site form or text/plain fetch cannot send application/json without a preflight
+  if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+    return rejectBody(httpError(415, 'Content-Type must be application/json'))
+  }
+  let body = ''
+  req.on('data', (chunk) => (body += chunk))
+  req.on('end', () => {
+    try {
+      resolveBody(JSON.parse(body || '{}'))
+    } catch (err) {
+      rejectBody(httpError(400, `Invalid JSON body: ${err.message}`))
+    }
+  })
+})
+
+// GET  /api/grizzly/publish-targets?family=… — configured targets with the file each would write
+// POST /api/grizzly/validate-and-save        — writes generatedCode to the chosen target (before proxy).
+//      An overwritten file is first copied to <publishRoot>/.grizzly/backups; every attempt is
+//      appended to <publishRoot>/.grizzly/publish-audit.log.
+function grizzlyPublishPlugin(env, sessionToken) {
   return {
     name: 'grizzly-publish',
+    apply: 'serve',
+    transformIndexHtml() {
+      return [{ tag: 'meta', attrs: { name: 'grizzly-session', content: sessionToken }, injectTo: 'head' }]
+    },
     configureServer(server) {
+      const { root } = server.config
       server.middlewares.use((req, res, next) => {
+        if (req.method !== 'GET' || !req.url.startsWith('/api/grizzly/publish-targets')) return next()
+        try {
+          const family = new URL(req.url, 'http://localhost').searchParams.get('family') || 'main'
+          const { publishRoot, targets } = loadPublishConfig(env, root)
+          sendJson(res, 200, {
+            targets: Object.entries(targets).map(([id, t]) => {
+              const file = publishFile(t, family)
+              const error = MAPPING_FAMILY_RE.test(family) ? publishPathError(publishRoot, file) : `Invalid mapping family: ${family}`
+              return { id, label: t.label || id, file: error ? null : relative(root, file), error }
+            }),
+          })
+        } catch (err) {
+          sendJson(res, 500, { error: err.message })
+        }
+      })
+      server.middlewares.use(async (req, res, next) => {
         if (req.method !== 'POST' || req.url !== '/api/grizzly/validate-and-save') return next()
-        let body = ''
-        req.on('data', (chunk) => (body += chunk))
-        req.on('end', () => {
+        let publishRoot = root
+        const entry = { at: new Date().toISOString(), remote: req.socket.remoteAddress }
+        const audit = () => {
           try {
-            const { generatedCode, stagingPath } = JSON.parse(body || '{}')
-            if (!generatedCode || !stagingPath) {
-              res.statusCode = 400
-              res.setHeader('Content-Type', 'application/json')
-              res.end(JSON.stringify({ error: 'Missing generatedCode or stagingPath' }))
-              return
-            }
-            mkdirSync(dirname(stagingPath), { recursive: true })
-            writeFileSync(stagingPath, generatedCode, 'utf8')
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({ saved: true }))
+            mkdirSync(join(publishRoot, '.grizzly'), { recursive: true })
+            appendFileSync(join(publishRoot, '.grizzly', 'publish-audit.log'), JSON.stringify(entry) + '\n', 'utf8')
           } catch (err) {
-            res.statusCode = 500
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({ error: err.message, saved: false }))
+            server.config.logger.error(`grizzly-publish: audit log write failed: ${err.message}`)
           }
-        })
+        }
+        const reject = (status, error) => {
+          Object.assign(entry, { result: status === 500 ? 'error' : 'rejected', error })
+          audit()
+          sendJson(res, status, { error, saved: false })
+        }
+        const denied = localRequestError(req, sessionToken)
+        if (denied) return reject(403, denied)
+        try {
+          const { generatedCode, mappingFamily, target: targetId } = await readJson(req)
+          const config = loadPublishConfig(env, root)
+          publishRoot = config.publishRoot
+          const target = config.targets[targetId]
+          Object.assign(entry, { target: targetId, family: mappingFamily })
+          if (!target) return reject(400, `Unknown publish target: ${targetId}`)
+          if (!generatedCode) return reject(400, 'Missing generatedCode')
+          if (!MAPPING_FAMILY_RE.test(mappingFamily || '')) return reject(400, `Invalid mapping family: ${mappingFamily}`)
+          const file = publishFile(target, mappingFamily)
+          entry.file = relative(publishRoot, file)
+          const pathError = publishPathError(publishRoot, file)
+          if (pathError) return reject(403, pathError)
+
+          if (existsSync(file) && readFileSync(file, 'utf8') !== generatedCode) {
+            const stamp = entry.at.replace(/[:.]/g, '-')
+            const backup = join(publishRoot, '.grizzly', 'backups', `${entry.file}.${stamp}`)
+            mkdirSync(dirname(backup), { recursive: true })
+            copyFileSync(file, backup)
+            entry.backup = relative(publishRoot, backup)
+          }
+          mkdirSync(dirname(file), { recursive: true })
+          writeFileSync(file, generatedCode, 'utf8')
+          Object.assign(entry, {
+            result: 'saved',
+            bytes: new TextEncoder().encode(generatedCode).length,
+            sha256: createHash('sha256').update(generatedCode).digest('hex'),
+          })
+          audit()
+          sendJson(res, 200, { saved: true, target: targetId, file: relative(root, file), backup: entry.backup || null })
+        } catch (err) {
+          reject(err.status || 500, err.message)
+        }
+      })
+    },
+  }
+}
+
+// Local API: a stand-in for the Spring Boot engine, enabled with GRIZZLY_LOCAL_API=true.
+// Serves /preview, /test-cases and /test-cases/run-all from the dev server. Test cases live
+// in a JSON file (GRIZZLY_TEST_CASES, default .grizzly/test-cases.json); templates run in a
+// local Python subprocess (GRIZZLY_PYTHON, default python3) via scripts/grizzly_runner.py.
+// Because it runs code, every route is guarded like validate-and-save.
+const LOCAL_API_RE = /^\/api\/grizzly\/(preview|test-cases)(\/|\?|$)/
+const RUN_TIMEOUT_MS = 10000
+
+const isLocalApi = (env) => /^(1|true|yes)$/i.test(env.GRIZZLY_LOCAL_API || '')
+
+// Runs transform() once per input; resolves to [{ output } | { error }] in input order
+function runTemplate(python, script, code, inputs) {
+  return new Promise((resolveRun, rejectRun) => {
+    const child = spawn(python, [script], { stdio: ['pipe', 'pipe', 'pipe'] })
+    let stdout = ''
+    let stderr = ''
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL')
+      rejectRun(new Error(`Template run timed out after ${RUN_TIMEOUT_MS}ms`))
+    }, RUN_TIMEOUT_MS)
+    child.stdout.on('data', (chunk) => (stdout += chunk))
+    child.stderr.on('data', (chunk) => (stderr += chunk))
+    child.on('error', (err) => {
+      clearTimeout(timer)
+      rejectRun(err.code === 'ENOENT' ? new Error(`${python} not found — set GRIZZLY_PYTHON in .env`) : err)
+    })
+    child.on('close', (status) => {
+      clearTimeout(timer)
+      try {
+        resolveRun(JSON.parse(stdout).results)
+      } catch {
+        rejectRun(new Error(stderr.trim() || `Python runner exited with status ${status}`))
+      }
+    })
+    child.stdin.on('error', () => {}) // an early exit is reported by 'close'
+    child.stdin.end(JSON.stringify({ code, inputs }))
+  })
+}
+
+// Leaf values by path (a.b[0].c); empty objects and arrays count as leaves
+function flattenJson(value, path, out) {
+  if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenJson(child, Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key, out)
+    }
+  } else {
+    out[path] = value
+  }
+  return out
+}
+
+// { field: { expected, actual } } for every leaf that differs
+function diffOutput(expected, actual) {
+  const want = flattenJson(expected, '', {})
+  const got = flattenJson(actual, '', {})
+  const diff = {}
+  for (const field of new Set([...Object.keys(want), ...Object.keys(got)])) {
+    // An absent field and a null one are the same to the engine
+    const delta = { expected: want[field] ?? null, actual: got[field] ?? null }
+    if (JSON.stringify(delta.expected) !== JSON.stringify(delta.actual)) diff[field || '(root)'] = delta
+  }
+  return diff
+}
+
+const CASE_FIELDS = ['service', 'mappingFamily', 'testName', 'input', 'expected']
+
+function caseError(c) {
+  const missing = CASE_FIELDS.filter((f) => c[f] === undefined || c[f] === '')
+  return missing.length ? `Missing ${missing.join(', ')}` : null
+}
+
+function grizzlyLocalApiPlugin(env, sessionToken) {
+  return {
+    name: 'grizzly-local-api',
+    apply: 'serve',
+    configureServer(server) {
+      if (!isLocalApi(env)) return
+      const { root } = server.config
+      const storePath = resolve(root, env.GRIZZLY_TEST_CASES || '.grizzly/test-cases.json')
+      const python = env.GRIZZLY_PYTHON || 'python3'
+      const script = resolve(root, 'scripts/grizzly_runner.py')
+
+      // Deleted cases stay in the file (soft delete) but are never served
+      const loadCases = () => (existsSync(storePath) ? JSON.parse(readFileSync(storePath, 'utf8')) : [])
+      const saveCases = (cases) => {
+        mkdirSync(dirname(storePath), { recursive: true })
+        writeFileSync(storePath, JSON.stringify(cases, null, 2) + '\n', 'utf8')
+      }
+      const live = (cases) => cases.filter((c) => !c.deletedAt)
+
+      server.middlewares.use(async (req, res, next) => {
+        if (!LOCAL_API_RE.test(req.url)) return next()
+        const denied = localRequestError(req, sessionToken)
+        if (denied) return sendJson(res, 403, { error: denied })
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+        const route = `${req.method} ${pathname.replace(/^\/api\/grizzly/, '')}`
+        const id = pathname.match(/^\/api\/grizzly\/test-cases\/([^/]+)$/)?.[1]
+        try {
+          if (route === 'POST /preview') {
+            const { templateCode, sampleInput } = await readJson(req)
+            if (!templateCode) return sendJson(res, 400, { error: 'Missing templateCode' })
+            const [result] = await runTemplate(python, script, templateCode, [sampleInput ?? {}])
+            return sendJson(res, result.error ? 422 : 200, result)
+          }
+
+          if (route === 'GET /test-cases') {
+            const service = searchParams.get('service')
+            const status = searchParams.get('status')
+            return sendJson(res, 200, live(loadCases()).filter((c) =>
+              (!service || c.service === service) &&
+              (!status || (c.lastRunStatus || 'PENDING') === status)))
+          }
+
+          if (route === 'POST /test-cases') {
+            const body = await readJson(req)
+            const error = caseError(body)
+            if (error) return sendJson(res, 400, { error })
+            const now = new Date().toISOString()
+            const created = { id: randomUUID(), ...Object.fromEntries(CASE_FIELDS.map((f) => [f, body[f]])), createdAt: now, updatedAt: now }
+            saveCases([...loadCases(), created])
+            return sendJson(res, 201, created)
+          }
+
+          if (route === 'POST /test-cases/run-all') {
+            const { mappingFamily, generatedCode } = await readJson(req)
+            if (!generatedCode) return sendJson(res, 400, { error: 'Missing generatedCode' })
+            const started = Date.now()
+            const cases = live(loadCases()).filter((c) => !mappingFamily || c.mappingFamily === mappingFamily)
+            const runs = cases.length ? await runTemplate(python, script, generatedCode, cases.map((c) => c.input)) : []
+            const results = cases.map((c, i) => {
+              const diff = runs[i].error ? {} : diffOutput(c.expected, runs[i].output)
+              const status = runs[i].error || Object.keys(diff).length ? 'FAIL' : 'PASS'
+              return { id: c.id, service: c.service, testName: c.testName, status, diff, error: runs[i].error || null }
+            })
+            // Re-read so edits made while the run was in flight are kept
+            const ranAt = new Date().toISOString()
+            const byId = new Map(results.map((r) => [r.id, r.status]))
+            saveCases(loadCases().map((c) => (byId.has(c.id) ? { ...c, lastRunStatus: byId.get(c.id), lastRunAt: ranAt } : c)))
+            const passed = results.filter((r) => r.status === 'PASS').length
+            return sendJson(res, 200, { total: results.length, passed, failed: results.length - passed, durationMs: Date.now() - started, results })
+          }
+
+          if (id && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+            const cases = loadCases()
+            const index = cases.findIndex((c) => c.id === id && !c.deletedAt)
+            if (index < 0) return sendJson(res, 404, { error: `Test case not found: ${id}` })
+            if (req.method === 'GET') return sendJson(res, 200, cases[index])
+            if (req.method === 'DELETE') {
+              cases[index] = { ...cases[index], deletedAt: new Date().toISOString() }
+              saveCases(cases)
+              return sendJson(res, 200, { deleted: true, id })
+            }
+            const body = await readJson(req)
+            const error = caseError(body)
+            if (error) return sendJson(res, 400, { error })
+            // An edited case has not been run in its new form yet
+            const { lastRunStatus: _status, lastRunAt: _ranAt, ...rest } = cases[index]
+            cases[index] = { ...rest, ...Object.fromEntries(CASE_FIELDS.map((f) => [f, body[f]])), updatedAt: new Date().toISOString() }
+            saveCases(cases)
+            return sendJson(res, 200, cases[index])
+          }
+
+          sendJson(res, 404, { error: `No local API route for ${route}` })
+        } catch (err) {
+          sendJson(res, err.status || 500, { error: err.message })
+        }
       })
     },
   }
@@ -127,8 +433,11 @@ function aiProxyPlugin(env) {
 
 export default defineConfig(({ mode }) => {
   const env = { ...process.env, ...loadEnv(mode, process.cwd(), '') }
+  const localApi = isLocalApi(env)
+  // One token per dev server run, checked by every route that writes files or runs code
+  const sessionToken = randomUUID()
   return {
-    plugins: [grizzlyPublishPlugin(), react(), tailwindcss(), aiProxyPlugin(env)],
+    plugins: [grizzlyPublishPlugin(env, sessionToken), grizzlyLocalApiPlugin(env, sessionToken), react(), tailwindcss(), aiProxyPlugin(env)],
     server: {
       port: 5173,
       proxy: {
@@ -140,8 +449,11 @@ export default defineConfig(({ mode }) => {
           changeOrigin: true,
           secure: false,
           bypass(req) {
-            // Let Vite handle validate-and-save (writes file); proxy everything else to backend
+            // Let Vite handle publishing (targets + validate-and-save); proxy everything else to backend
+            if (req.url.startsWith('/api/grizzly/publish-targets') && req.method === 'GET') return req.url
             if (req.url === '/api/grizzly/validate-and-save' && req.method === 'POST') return req.url
+            // With GRIZZLY_LOCAL_API the dev server also answers preview and test-case calls
+            if (localApi && LOCAL_API_RE.test(req.url)) return req.url
           },
         },
       },